@@ -3,8 +3,26 @@ import { ChatAnthropic } from "@langchain/anthropic";
 import { HumanMessage, AIMessage } from "@langchain/core/messages";
 import { StateGraph,MessagesAnnotation } from "@langchain/langgraph";
 import { MemorySaver } from "@langchain/langgraph"; 
-import { webScraping, updateHtml, intelligentHtmlUpdate } from "./tools.js";
+import { startScrapeJobs, updateHtml, intelligentHtmlUpdate } from "./tools.js";
+import { getJob, cancelJob, waitForJob, isFinished, describeJob } from "./jobs.js";
+import { listProjects, resolveProject } from "./projects.js";
+import { readSiteMap, SITE_MAP_HTML_FILE } from "./siteMap.js";
+import { readPageIndex, findPages } from "./pageIndex.js";
+import {
+  listExportFiles,
+  projectExportUrl,
+  createSingleFilePage,
+  singleFileUrl,
+} from "./projectExport.js";
 import { systemPrompt } from "./system-prompt.js";
+import { withoutAuth } from "./crawlSession.js";
+
+// How long scrape_website waits for a crawl before reporting it as still running
+const SCRAPE_WAIT_MS = 30000;
+
+// Tool args as they can be logged: crawl.auth holds credentials
+const loggableArgs = (args) =>
+  args?.crawl?.auth ? { ...args, crawl: withoutAuth(args.crawl) } : args;
 
 // Regex for parsing HTML update commands
 const UPDATE_HTML_REGEX = /@(\S+\.html)\s+changed\s+(?:the\s+)?(.+?)\s+to\s+(.+?)(?:\s|$)/i;
@@ -168,10 +186,10 @@ function getToolUseUrl(messages) {
   return null; // if not found
 }
 
-// Create a tool that wraps the webScraping function
+// Create a tool that starts a webScraping job
 const websiteScraper = {
   name: "scrape_website",
-  description: "Scrapes a website and extracts its content",
+  description: "Starts scraping a website in the background. Returns the result if the crawl finishes within 30 seconds, otherwise a jobId to check with crawl_status",
   schema: {
     type: "object",
     properties: {
@@ -179,14 +197,128 @@ const websiteScraper = {
         type: "string",
         description: "The URL of the website to scrape",
       },
+      project: {
+        type: "string",
+        description: "Project to capture the site into (lowercase letters, digits, - and _). Defaults to one named after the site's host",
+      },
+      crawl: {
+        type: "object",
+        description: "Optional limits on which pages are crawled",
+        properties: {
+          maxDepth: {
+            type: "integer",
+            description: "How many links away from the start URL to follow (0 = start page only)",
+          },
+          maxPages: {
+            type: "integer",
+            description: "Maximum number of pages to capture",
+          },
+          include: {
+            type: "array",
+            items: { type: "string" },
+            description: "Only crawl URLs matching one of these globs (e.g. '/docs/**') or 'regex:' patterns",
+          },
+          exclude: {
+            type: "array",
+            items: { type: "string" },
+            description: "Never crawl URLs matching one of these globs or 'regex:' patterns",
+          },
+          samePathPrefix: {
+            type: ["boolean", "string"],
+            description: "Stay under the start URL's path (true) or under the given path prefix",
+          },
+          allowedOrigins: {
+            type: "array",
+            items: { type: "string" },
+            description: "Other origins whose pages are crawled too, besides the start URL's: \"https://blog.example.com\", a host such as \"example.com\", or \"*.example.com\" for every subdomain",
+          },
+          ignoreRobots: {
+            type: "boolean",
+            description: "Skip robots.txt rules and Crawl-delay. Only for sites the user owns",
+          },
+          delayMs: {
+            type: "integer",
+            description: "Minimum milliseconds between requests to the same host (default 250)",
+          },
+          retries: {
+            type: "integer",
+            description: "How many times to retry 429/5xx responses and network errors (default 3)",
+          },
+          sitemap: {
+            type: "boolean",
+            description: "Also queue the pages listed in the site's sitemap.xml and robots.txt sitemaps",
+          },
+          resume: {
+            type: "boolean",
+            description: "Continue an interrupted crawl of the same URL without re-downloading finished pages",
+          },
+          incremental: {
+            type: "boolean",
+            description: "Re-scrape a site captured before, only rewriting pages and assets that changed",
+          },
+          scripts: {
+            type: "string",
+            enum: ["keep", "freeze", "strip"],
+            description: "keep: download scripts so pages stay interactive; freeze (default): save the rendered page without scripts; strip: remove every script, noscript and event handler",
+          },
+          query: {
+            description: "How query strings are treated: \"ignore\" (default, ?page=2 is the same page), \"keep\" (every distinct query is its own page) or a list of parameter names to keep, e.g. [\"page\", \"lang\"]",
+          },
+          hashRoutes: {
+            type: "boolean",
+            description: "Treat hash routes such as #/about as separate pages (for single-page apps)",
+          },
+          spa: {
+            description: "Discover single-page app routes that have no links: true records URLs pushed through history.pushState while pages load; { click: true, maxClicks, avoid } also clicks same-origin nav buttons, [role=link] elements and tabs. Destructive-looking controls (logout, delete, checkout...) and words listed in avoid are never clicked",
+          },
+          screenshots: {
+            type: "boolean",
+            description: "Save a full-page screenshot and a thumbnail of every page, plus a site-map gallery",
+          },
+          warc: {
+            type: "boolean",
+            description: "Also write a WARC file with the raw HTTP requests and responses of every page and asset, plus a CDX index, for archiving tools",
+          },
+          device: {
+            description: "Device profile to capture with: \"desktop\" (default, 1440x900), \"tablet\", \"mobile\", a custom { name, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent } viewport, or a list of these to capture each into its own project side by side",
+          },
+          auth: {
+            type: "object",
+            description: "Credentials for staging or members-only sites, shared by every page and asset download",
+            properties: {
+              cookies: {
+                description: "A Cookie header string (\"sid=abc; theme=dark\") or an array of { name, value, domain, path } cookies",
+              },
+              headers: {
+                type: "object",
+                description: "Extra request headers, e.g. { \"Authorization\": \"Bearer ...\" }",
+              },
+              basic: {
+                type: "object",
+                description: "HTTP basic auth: { username, password }",
+              },
+              login: {
+                type: "object",
+                description: "A login form to submit first: { url, fields: { selector: value }, submit: selector, waitFor: selector }",
+              },
+            },
+          },
+          publicBaseUrl: {
+            type: "string",
+            description: "Where the captured site will be hosted (a path like /sites/example or a full URL). Links and assets then use absolute URLs under it instead of relative paths",
+          },
+        },
+      },
     },
     required: ["url"],
   },
   invoke: async (args) => {
-    console.log(`🔍 Scraping website - received args:`, JSON.stringify(args));
+    console.log(`🔍 Scraping website - received args:`, JSON.stringify(loggableArgs(args)));
     
     // Handle different input formats
     let url;
+    let crawl;
+    let project;
     
     if (typeof args === 'string') {
       // If args is a string, assume it's the URL
@@ -195,6 +327,8 @@ const websiteScraper = {
     } else if (args && typeof args === 'object') {
       // If args is an object, look for url property
       url = args.url;
+      crawl = args.crawl;
+      project = args.project;
       console.log(`Extracted URL from args object: ${url}`);
     } else {
       console.error(`Invalid args format:`, args);
@@ -221,11 +355,35 @@ const websiteScraper = {
     }
     
     try {
-      console.log(`Calling webScraping with URL: ${formattedUrl}`);
-      const result = await webScraping(formattedUrl);
-      console.log(`✅ Scraping completed: ${result.message}`);
+      console.log(`Starting scrape job for URL: ${formattedUrl}`);
+      const jobs = await Promise.all(
+        (await startScrapeJobs(formattedUrl, crawl, project)).map((job) => waitForJob(job, SCRAPE_WAIT_MS))
+      );
+      const results = jobs.map((job) => {
+        const status = describeJob(job);
+        console.log(`✅ Scrape job ${job.id}: ${status.message}`);
+        return {
+          ...(job.result || {}),
+          project: job.input.project,
+          jobId: job.id,
+          status: job.status,
+          message: status.message,
+          progress: status.progress,
+          ...(job.status === "failed" && { error: true }),
+        };
+      });
+      // One result per device when several were captured side by side
+      if (results.length > 1) {
+        return {
+          message: results.map((result) => `${result.project}: ${result.message}`).join("\n"),
+          jobs: results,
+          ...(results.every((result) => result.error) && { error: true }),
+          original_url: url,
+          formatted_url: formattedUrl
+        };
+      }
       return {
-        ...result,
+        ...results[0],
         original_url: url,
         formatted_url: formattedUrl
       };
@@ -241,16 +399,264 @@ const websiteScraper = {
   },
 };
 
+// Create a tool that reports on a running or finished crawl job
+const crawlStatus = {
+  name: "crawl_status",
+  description: "Reports progress of a scrape job (pages done, queued and failed, current URL) or its result once finished",
+  schema: {
+    type: "object",
+    properties: {
+      jobId: {
+        type: "string",
+        description: "The jobId returned by scrape_website",
+      },
+    },
+    required: ["jobId"],
+  },
+  invoke: async (args) => {
+    const jobId = typeof args === 'string' ? args : args?.jobId;
+    const job = jobId && getJob(jobId);
+    if (!job) {
+      return { message: `No crawl job found with id ${jobId}`, error: true };
+    }
+    console.log(`📊 Crawl status for job ${job.id}: ${job.status}`);
+    return describeJob(job);
+  },
+};
+
+// Create a tool that cancels a running crawl job
+const crawlCanceller = {
+  name: "cancel_crawl",
+  description: "Cancels a running scrape job and closes its browser",
+  schema: {
+    type: "object",
+    properties: {
+      jobId: {
+        type: "string",
+        description: "The jobId returned by scrape_website",
+      },
+    },
+    required: ["jobId"],
+  },
+  invoke: async (args) => {
+    const jobId = typeof args === 'string' ? args : args?.jobId;
+    const job = jobId && getJob(jobId);
+    if (!job) {
+      return { message: `No crawl job found with id ${jobId}`, error: true };
+    }
+    if (isFinished(job)) {
+      return { ...describeJob(job), message: `Crawl already ${job.status}` };
+    }
+    return describeJob(cancelJob(job.id));
+  },
+};
+
+// Create a tool that lists the captured sites
+const projectLister = {
+  name: "list_projects",
+  description: "Lists the scraped website projects, newest first, with their source URL, last crawl and preview URL",
+  schema: {
+    type: "object",
+    properties: {},
+  },
+  invoke: async () => {
+    const projects = await listProjects();
+    console.log(`📁 Found ${projects.length} projects`);
+    return {
+      message: `${projects.length} projects`,
+      projects: projects.map(({ dir, ...project }) => project),
+    };
+  },
+};
+
+// Create a tool that shows which captured page is which
+const siteMapViewer = {
+  name: "site_map",
+  description: "Lists a project's captured pages with their title, local file and thumbnail URL. Needs a crawl with screenshots enabled",
+  schema: {
+    type: "object",
+    properties: {
+      project: {
+        type: "string",
+        description: "The project to show. Defaults to the most recently crawled project",
+      },
+    },
+  },
+  invoke: async (args) => {
+    try {
+      const project = await resolveProject(typeof args === 'string' ? args : args?.project);
+      const siteMap = await readSiteMap(project.dir);
+      if (!siteMap) {
+        return {
+          message: `Project ${project.id} has no screenshots yet. Scrape it again with screenshots enabled.`,
+          error: true,
+        };
+      }
+      return {
+        message: `${siteMap.pages.length} pages in ${project.id}`,
+        galleryUrl: `${project.previewUrl}${SITE_MAP_HTML_FILE}`,
+        pages: siteMap.pages.map((page) => ({
+          url: page.url,
+          title: page.title,
+          file: page.file,
+          pageUrl: `${project.previewUrl}${page.file}`,
+          thumbnailUrl: `${project.previewUrl}${page.thumbnail}`,
+        })),
+      };
+    } catch (error) {
+      return { message: error.message, error: true };
+    }
+  },
+};
+
+// Create a tool that finds pages by their titles, descriptions and headings
+const pageFinder = {
+  name: "list_pages",
+  description: "Lists a project's pages with their URL, file, title, meta description, H1-H3 headings and word count, so you can tell which page holds what without reading HTML. Pass a query to filter, or a file for that page's full metadata including Open Graph tags, canonical URL and outgoing links",
+  schema: {
+    type: "object",
+    properties: {
+      project: {
+        type: "string",
+        description: "The project to look in. Defaults to the most recently crawled project",
+      },
+      query: {
+        type: "string",
+        description: "Words that must all appear in the page's URL, title, description or headings, e.g. \"pricing\"",
+      },
+      file: {
+        type: "string",
+        description: "A page file (e.g. docs/setup.html) to return in full",
+      },
+    },
+  },
+  invoke: async (args) => {
+    const options = typeof args === 'string' ? { query: args } : args || {};
+    try {
+      const project = await resolveProject(options.project);
+      const index = await readPageIndex(project.dir);
+      if (!index) {
+        return { message: `Project ${project.id} has no page index yet. Scrape it again to build one.`, error: true };
+      }
+      if (options.file) {
+        const page = index.pages.find((entry) => entry.file === options.file);
+        if (!page) return { message: `Page not found: ${options.file}`, error: true };
+        return { message: `${page.file}: ${page.title}`, page };
+      }
+      const pages = findPages(index, options.query);
+      console.log(`📑 ${pages.length} of ${index.pages.length} pages match "${options.query || ""}"`);
+      return {
+        message: options.query
+          ? `${pages.length} of ${index.pages.length} pages match "${options.query}"`
+          : `${pages.length} pages in ${project.id}`,
+        pages,
+      };
+    } catch (error) {
+      return { message: error.message, error: true };
+    }
+  },
+};
+
+// Create a tool that hands out a ZIP download of a project
+const projectExporter = {
+  name: "export_project",
+  description: "Gives a download URL for a ZIP of a project's pages and assets, with links that work offline",
+  schema: {
+    type: "object",
+    properties: {
+      project: {
+        type: "string",
+        description: "The project to export. Defaults to the most recently crawled project",
+      },
+      pagesOnly: {
+        type: "boolean",
+        description: "Only include the HTML pages, without assets, screenshots or manifests",
+      },
+      includeHistory: {
+        type: "boolean",
+        description: "Also include the edit history: earlier versions of edited pages and the edit log",
+      },
+      includeWarc: {
+        type: "boolean",
+        description: "Also include the WARC archive of the crawls, if they recorded one",
+      },
+    },
+  },
+  invoke: async (args) => {
+    try {
+      const options = typeof args === 'string' ? { project: args } : args || {};
+      const project = await resolveProject(options.project);
+      const exportOptions = {
+        pagesOnly: Boolean(options.pagesOnly),
+        includeHistory: Boolean(options.includeHistory),
+        includeWarc: Boolean(options.includeWarc),
+      };
+      const files = await listExportFiles(project, exportOptions);
+      console.log(`📦 Export of ${project.id} ready: ${files.length} files`);
+      return {
+        message: `ZIP of ${project.id} with ${files.length} files`,
+        project: project.id,
+        files: files.length,
+        downloadUrl: projectExportUrl(project.id, exportOptions),
+      };
+    } catch (error) {
+      return { message: error.message, error: true };
+    }
+  },
+};
+
+// Create a tool that turns one page into a self-contained HTML file
+const pageExporter = {
+  name: "export_page",
+  description: "Gives a download URL for one page as a single self-contained HTML file, with its images, fonts, CSS and kept scripts inlined",
+  schema: {
+    type: "object",
+    properties: {
+      file: {
+        type: "string",
+        description: "The page to export, relative to the project folder (e.g. index.html)",
+      },
+      project: {
+        type: "string",
+        description: "The project the page belongs to. Defaults to the most recently crawled project",
+      },
+    },
+    required: ["file"],
+  },
+  invoke: async (args) => {
+    const options = typeof args === 'string' ? { file: args } : args || {};
+    try {
+      const project = await resolveProject(options.project);
+      const page = await createSingleFilePage(project, options.file);
+      return {
+        message: `${page.file} as a single file (${Math.round(Buffer.byteLength(page.html) / 1024)} KB)`,
+        project: project.id,
+        file: page.file,
+        inlined: page.inlined,
+        missing: page.missing,
+        downloadUrl: singleFileUrl(project.id, page.file),
+      };
+    } catch (error) {
+      const message = error.code === "ENOENT" ? `Page not found: ${options.file}` : error.message;
+      return { message, error: true };
+    }
+  },
+};
+
 // Create a tool that wraps the updateHtml function
 const htmlUpdater = {
   name: "update_html",
-  description: "Updates HTML content in the scraped website and restarts the server",
+  description: "Updates HTML content in a scraped website project",
   schema: {
     type: "object",
     properties: {
       file: {
         type: "string",
-        description: "The HTML file to update (relative to scraped_website folder)",
+        description: "The HTML file to update (relative to the project folder)",
+      },
+      project: {
+        type: "string",
+        description: "The project the file belongs to. Defaults to the most recently crawled project",
       },
       oldText: {
         type: "string",
@@ -272,9 +678,9 @@ const htmlUpdater = {
     required: ["file", "updateType"],
   },
   invoke: async (args) => {
-    console.log(`🔄 Updating HTML content - received args:`, JSON.stringify(args));
+    console.log(`🔄 Updating HTML content - received args:`, JSON.stringify(loggableArgs(args)));
     
-    let file, oldText, newText, instruction, updateType;
+    let file, oldText, newText, instruction, updateType, project;
     
     if (typeof args === 'string') {
       // Try to parse from string using regex
@@ -298,6 +704,7 @@ const htmlUpdater = {
     } else if (args && typeof args === 'object') {
       // Extract from object
       file = args.file;
+      project = args.project;
       oldText = args.oldText;
       newText = args.newText;
       instruction = args.instruction;
@@ -326,7 +733,7 @@ const htmlUpdater = {
       }
       
       console.log(`Calling updateHtml with: file=${file}, oldText=${oldText}, newText=${newText}`);
-      return await updateHtml(file, oldText, newText);
+      return await updateHtml(file, oldText, newText, project);
     } else if (updateType === "intelligent") {
       if (!instruction) {
         return { 
@@ -336,7 +743,7 @@ const htmlUpdater = {
       }
       
       console.log(`Calling intelligentHtmlUpdate with: file=${file}, instruction=${instruction}`);
-      return await intelligentHtmlUpdate(file, instruction);
+      return await intelligentHtmlUpdate(file, instruction, project);
     } else {
       return { 
         success: false, 
@@ -362,7 +769,7 @@ export const createAgent = (apiKey) => {
     systemPrompt
   });
 
-  const tools = [websiteScraper, htmlUpdater];
+  const tools = [websiteScraper, crawlStatus, crawlCanceller, projectLister, siteMapViewer, pageFinder, projectExporter, pageExporter, htmlUpdater];
   const toolNode = new ToolNode(tools);
 
   // Custom handler for tool execution that provides better debugging
@@ -415,7 +822,7 @@ export const createAgent = (apiKey) => {
     const results = [];
     
     for (const toolCall of toolCalls) {
-      console.log(`Processing tool call: ${toolCall.name}`, toolCall.args);
+      console.log(`Processing tool call: ${toolCall.name}`, loggableArgs(toolCall.args));
       
       // Find the matching tool
       const tool = tools.find((t) => t.name === toolCall.name);
@@ -428,7 +835,7 @@ export const createAgent = (apiKey) => {
       try {
         // Special handling for the update_html tool
         if (toolCall.name === "update_html") {
-          console.log("📄 Handling HTML update tool call with args:", toolCall.args);
+          console.log("📄 Handling HTML update tool call with args:", loggableArgs(toolCall.args));
           const result = await tool.invoke(toolCall.args);
           results.push({
             tool_call_id: toolCall.id,
@@ -458,13 +865,15 @@ export const createAgent = (apiKey) => {
           
           // Use the URL
           if (url) {
-            toolCall.args = { url };
+            toolCall.args = typeof toolCall.args === "object" && toolCall.args
+              ? { ...toolCall.args, url }
+              : { url };
           } else {
             console.error("Could not find a URL to use for scraping");
           }
         }
         
-        console.log(`Invoking tool ${toolCall.name} with args:`, toolCall.args);
+        console.log(`Invoking tool ${toolCall.name} with args:`, loggableArgs(toolCall.args));
         const result = await tool.invoke(toolCall.args);
         
         results.push({
@@ -526,7 +935,7 @@ export const createAgent = (apiKey) => {
       
       // Log all tool calls for debugging
       for (const toolCall of lastMessage.tool_calls) {
-        console.log(`Tool call detected: ${toolCall.name} with args:`, toolCall.args);
+        console.log(`Tool call detected: ${toolCall.name} with args:`, loggableArgs(toolCall.args));
         
         // If this is our scrape_website tool, ensure the URL is present
         if (toolCall.name === "scrape_website" && !toolCall.args?.url) {
@@ -0,0 +1,124 @@
+import fs from "fs/promises";
+import path from "path";
+import { hashContent } from "./validators.js";
+import { hostFolder } from "./outputUrls.js";
+
+// Content-addressed asset storage: every downloaded file is saved once under
+// assets/<hash>.<ext>, however many pages or URLs reference it, and
+// asset-manifest.json maps each original URL to its local copy. Files from
+// hosts other than the start URL's go in assets/<host>/.
+
+export const MANIFEST_FILE = "asset-manifest.json";
+
+const EXTENSIONS_BY_TYPE = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/pjpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/avif": "avif",
+  "image/svg+xml": "svg",
+  "image/x-icon": "ico",
+  "image/vnd.microsoft.icon": "ico",
+  "image/bmp": "bmp",
+  "font/woff2": "woff2",
+  "font/woff": "woff",
+  "application/font-woff": "woff",
+  "font/ttf": "ttf",
+  "font/otf": "otf",
+  "application/vnd.ms-fontobject": "eot",
+  "text/css": "css",
+  "text/javascript": "js",
+  "application/javascript": "js",
+  "application/x-javascript": "js",
+  "application/json": "json",
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+  "audio/mpeg": "mp3",
+};
+
+// MIME type first, then the URL's own extension, then a neutral .bin.
+export const extensionFor = (contentType, url) => {
+  const type = contentType?.split(";")[0].trim().toLowerCase();
+  if (EXTENSIONS_BY_TYPE[type]) return EXTENSIONS_BY_TYPE[type];
+  const fromPath = path.extname(new URL(url).pathname).slice(1).toLowerCase();
+  return /^[a-z0-9]{1,5}$/.test(fromPath) ? fromPath : "bin";
+};
+
+// The first MIME type listed for each extension, e.g. "jpg" -> "image/jpeg"
+const TYPES_BY_EXTENSION = Object.entries(EXTENSIONS_BY_TYPE).reduce(
+  (types, [type, extension]) => ({ [extension]: type, ...types }),
+  {}
+);
+
+export const contentTypeFor = (file) =>
+  TYPES_BY_EXTENSION[path.extname(file).slice(1).toLowerCase()] || "application/octet-stream";
+
+export const readAssetManifest = async (baseDir) => {
+  try {
+    return JSON.parse(await fs.readFile(path.join(baseDir, MANIFEST_FILE), "utf-8"));
+  } catch {
+    return {};
+  }
+};
+
+// Pages link to the returned project-relative files through crawl.output.
+// onAsset({ url, file, contentType, hash, fresh }) is called once per asset the
+// crawl localizes; fresh is false when an earlier crawl's file was reused
+// because the server answered 304 or sent the same bytes.
+export const createAssetStore = async (crawl, { baseDir, onAsset = null }) => {
+  const manifest = await readAssetManifest(baseDir);
+  const startHost = new URL(crawl.startUrl).host;
+  // One download per URL per crawl, shared by every page that references it.
+  const files = new Map();
+  const failures = new Map();
+
+  const download = async (url) => {
+    const { file, record, changed } = await crawl.validators.downloadAsset(
+      crawl.politeness,
+      url,
+      (response, buffer) => {
+        const extension = extensionFor(response.headers.get("content-type"), url);
+        const fileName = `${hashContent(buffer).slice(0, 16)}.${extension}`;
+        const folder = new URL(url).host === startHost ? "" : hostFolder(url);
+        return path.join(baseDir, "assets", folder, fileName);
+      }
+    );
+    manifest[url] = {
+      file,
+      contentType: record.contentType || null,
+      hash: record.hash,
+    };
+    await onAsset?.({ url, ...manifest[url], fresh: changed });
+    return file;
+  };
+
+  // Resolves to the file's project-relative path, e.g. "assets/3f2a….png",
+  // or null when the download failed. Failures go in the crawl report under
+  // pageFile, the page that needed the asset.
+  const localize = async (url, pageFile = null) => {
+    if (!files.has(url)) {
+      files.set(
+        url,
+        download(url).catch((err) => {
+          console.warn(`Asset download failed: ${url}, ${err.message}`);
+          failures.set(url, err.message);
+          return null;
+        })
+      );
+    }
+    const file = await files.get(url);
+    if (!file) crawl.report.assetFailed(url, failures.get(url), pageFile);
+    return file;
+  };
+
+  const save = async () => {
+    const filePath = path.join(baseDir, MANIFEST_FILE);
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(manifest, null, 2));
+    await fs.rename(tempPath, filePath);
+  };
+
+  return { localize, save };
+};
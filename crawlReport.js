@@ -0,0 +1,166 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Crawl report: the HTTP status, redirects and timing of every page a crawl
+// visited, the internal links that turned out broken and the assets that could
+// not be downloaded, saved as crawl-report.json in the project. It covers one
+// run; a resumed crawl reports the pages it visited itself.
+
+export const CRAWL_REPORT_FILE = "crawl-report.json";
+// Keeps tool and route responses readable on big sites; the file has everything
+const SUMMARY_LIMIT = 25;
+const SLOWEST_PAGES = 5;
+
+export const readCrawlReport = async (baseDir) => {
+  try {
+    return JSON.parse(await fs.readFile(path.join(baseDir, CRAWL_REPORT_FILE), "utf-8"));
+  } catch {
+    return null;
+  }
+};
+
+export const createCrawlReport = (baseDir) => {
+  const startedAt = new Date();
+  const pages = new Map();
+  // Which pages link to each internal URL, to locate broken links
+  const linkedFrom = new Map();
+  const failedAssets = new Map();
+  const urlsByFile = new Map();
+
+  const startPage = (url, { file, depth }) => {
+    urlsByFile.set(file, url);
+    pages.set(url, {
+      url,
+      file,
+      depth,
+      status: null,
+      redirects: [],
+      outcome: null,
+      started: Date.now(),
+    });
+  };
+
+  // Takes the Puppeteer response of the page's navigation.
+  const pageResponse = (url, response) => {
+    const entry = pages.get(url);
+    if (!entry || !response) return;
+    entry.status = response.status();
+    entry.redirects = response
+      .request()
+      .redirectChain()
+      .map((request) => ({ url: request.url(), status: request.response()?.status() ?? null }));
+    if (entry.redirects.length) entry.finalUrl = response.url();
+  };
+
+  // outcome is "saved", "unchanged", "notModified", "failed" or "cancelled".
+  const finishPage = (url, outcome, { status, error } = {}) => {
+    const entry = pages.get(url);
+    if (!entry) return;
+    entry.outcome = outcome;
+    if (status !== undefined) entry.status = status;
+    if (error) entry.error = error;
+    entry.durationMs = Date.now() - entry.started;
+  };
+
+  const linksFound = (from, links) => {
+    for (const link of links) {
+      if (!linkedFrom.has(link)) linkedFrom.set(link, new Set());
+      linkedFrom.get(link).add(from);
+    }
+  };
+
+  // pageFile is the project file of the page that needed the asset, if known.
+  const assetFailed = (url, reason, pageFile = null) => {
+    if (!failedAssets.has(url)) {
+      failedAssets.set(url, { url, reason: reason || "unknown error", pages: new Set() });
+    }
+    if (pageFile) failedAssets.get(url).pages.add(pageFile);
+  };
+
+  const build = (status) => {
+    const finishedAt = new Date();
+    const pageList = Array.from(pages.values(), ({ started, ...entry }) => entry);
+    const statuses = {};
+    for (const entry of pageList) {
+      const key = entry.status ?? (entry.outcome === "failed" ? "error" : "unknown");
+      statuses[key] = (statuses[key] || 0) + 1;
+    }
+    const brokenLinks = pageList
+      .filter((entry) => entry.outcome === "failed" || entry.status >= 400)
+      .map(({ url, status: httpStatus, error }) => ({
+        url,
+        status: httpStatus,
+        error,
+        linkedFrom: Array.from(linkedFrom.get(url) || []),
+      }));
+    const timed = pageList.filter((entry) => entry.durationMs !== undefined);
+    return {
+      status,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      totals: {
+        pages: pageList.length,
+        saved: pageList.filter((entry) => entry.outcome === "saved").length,
+        unchanged: pageList.filter((entry) =>
+          ["unchanged", "notModified"].includes(entry.outcome)
+        ).length,
+        failed: pageList.filter((entry) => entry.outcome === "failed").length,
+        redirected: pageList.filter((entry) => entry.redirects.length).length,
+        brokenLinks: brokenLinks.length,
+        failedAssets: failedAssets.size,
+      },
+      statuses,
+      timing: {
+        averagePageMs: timed.length
+          ? Math.round(timed.reduce((sum, entry) => sum + entry.durationMs, 0) / timed.length)
+          : null,
+        slowestPages: [...timed]
+          .sort((a, b) => b.durationMs - a.durationMs)
+          .slice(0, SLOWEST_PAGES)
+          .map(({ url, durationMs }) => ({ url, durationMs })),
+      },
+      brokenLinks,
+      redirects: pageList
+        .filter((entry) => entry.redirects.length)
+        .map(({ url, redirects, finalUrl }) => ({ url, chain: redirects, finalUrl })),
+      failedAssets: Array.from(failedAssets.values(), (asset) => ({
+        url: asset.url,
+        reason: asset.reason,
+        pages: Array.from(asset.pages, (file) => urlsByFile.get(file) || file),
+      })),
+      pages: pageList,
+    };
+  };
+
+  const save = async (status) => {
+    const filePath = path.join(baseDir, CRAWL_REPORT_FILE);
+    await fs.writeFile(`${filePath}.tmp`, JSON.stringify(build(status), null, 2));
+    await fs.rename(`${filePath}.tmp`, filePath);
+  };
+
+  // The report without the per-page list, problem lists capped
+  const summarize = (status) => {
+    const { pages: pageList, brokenLinks, redirects, failedAssets: assets, ...report } = build(status);
+    return {
+      ...report,
+      brokenLinks: brokenLinks.slice(0, SUMMARY_LIMIT),
+      redirects: redirects.slice(0, SUMMARY_LIMIT),
+      failedAssets: assets.slice(0, SUMMARY_LIMIT),
+      file: CRAWL_REPORT_FILE,
+    };
+  };
+
+  return { startPage, pageResponse, finishPage, linksFound, assetFailed, save, summarize };
+};
+
+// "2 broken links, 1 failed asset", or null for a clean crawl
+export const describeProblems = (report) => {
+  const count = (number, noun) => `${number} ${noun}${number === 1 ? "" : "s"}`;
+  const { brokenLinks, failedAssets } = report.totals;
+  const problems = [
+    brokenLinks && count(brokenLinks, "broken link"),
+    failedAssets && count(failedAssets, "failed asset"),
+  ].filter(Boolean);
+  return problems.length ? problems.join(", ") : null;
+};
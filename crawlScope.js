@@ -0,0 +1,190 @@
+// Crawl scope: decides which discovered links are queued and records the rest.
+
+const REGEX_PREFIX = "regex:";
+// Links to files like these are downloads, not pages to capture
+const NON_PAGE_FILES = /\.(pdf|zip|gz|tgz|tar|rar|7z|exe|dmg|msi|apk|docx?|xlsx?|pptx?|odt|csv|mp3|wav|mp4|webm|mov|avi|png|jpe?g|gif|webp|svg|ico)$/i;
+
+const globToRegExp = (glob) => {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+// Patterns are globs ("/blog/**", "https://example.com/docs/*") unless they
+// start with "regex:", in which case the rest is an unanchored regular expression.
+const compilePattern = (pattern) => {
+  if (pattern instanceof RegExp) return pattern;
+  if (typeof pattern !== "string" || pattern === "") {
+    throw new Error(`Invalid URL pattern: ${JSON.stringify(pattern)}`);
+  }
+  if (pattern.startsWith(REGEX_PREFIX)) {
+    return new RegExp(pattern.slice(REGEX_PREFIX.length));
+  }
+  return globToRegExp(pattern);
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const toLimit = (value, name) => {
+  if (value === undefined || value === null) return Infinity;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return number;
+};
+
+// Patterns are tested against both the full URL and its path (plus query).
+const matchesAny = (patterns, url) => {
+  const parsed = new URL(url);
+  const targets = [url, `${parsed.pathname}${parsed.search}`];
+  return patterns.some((pattern) => targets.some((target) => pattern.test(target)));
+};
+
+// "https://blog.example.com" allows that origin, "example.com" that host over
+// http or https, and "*.example.com" every subdomain of example.com.
+const compileOrigin = (entry) => {
+  const match =
+    typeof entry === "string" &&
+    entry.trim().toLowerCase().match(/^(?:(https?):\/\/)?(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*(?::\d+)?)\/?$/);
+  if (!match) {
+    throw new Error(`Invalid allowed origin: ${JSON.stringify(entry)}`);
+  }
+  const [, scheme, wildcard, host] = match;
+  return (url) => {
+    if (scheme && url.protocol !== `${scheme}:`) return false;
+    return wildcard ? url.host.endsWith(`.${host}`) : url.host === host;
+  };
+};
+
+export const resolveCrawlOptions = (options = {}) => {
+  const crawlOptions = options || {};
+  return {
+    ...crawlOptions,
+    maxDepth: toLimit(crawlOptions.maxDepth, "maxDepth"),
+    maxPages: toLimit(crawlOptions.maxPages, "maxPages"),
+    include: toList(crawlOptions.include).map(compilePattern),
+    exclude: toList(crawlOptions.exclude).map(compilePattern),
+    allowedOrigins: toList(crawlOptions.allowedOrigins).map(compileOrigin),
+    samePathPrefix: crawlOptions.samePathPrefix || false,
+  };
+};
+
+// Pass a job's progress object to have the crawl report into it.
+export const createCrawlState = (
+  startUrl,
+  options,
+  progress = { done: 0, failed: 0, active: 0, queued: 0, currentUrl: null }
+) => {
+  let pathPrefix = null;
+  if (options.samePathPrefix) {
+    pathPrefix =
+      typeof options.samePathPrefix === "string"
+        ? options.samePathPrefix
+        : new URL(startUrl).pathname;
+    pathPrefix = pathPrefix.replace(/\/$/, "");
+  }
+
+  progress.queued = 1;
+
+  return {
+    startUrl,
+    origin: new URL(startUrl).origin,
+    options,
+    pathPrefix,
+    progress,
+    visited: new Set(),
+    queue: [startUrl],
+    depths: new Map([[startUrl, 0]]),
+    // queued | active | done | failed, per page URL
+    pageStatus: new Map([[startUrl, "queued"]]),
+    skipped: new Map(),
+    limitsHit: new Set(),
+    lastmod: new Map(),
+  };
+};
+
+// Pages on the start URL's origin or an allowed origin are crawled; links to
+// anywhere else are left pointing at the live site.
+export const isInternalUrl = (crawl, url) => {
+  const parsed = new URL(url);
+  return (
+    parsed.origin === crawl.origin ||
+    crawl.options.allowedOrigins.some((allows) => allows(parsed))
+  );
+};
+
+// Returns the reason a URL is out of scope, or null when it may be crawled.
+const outOfScopeReason = (crawl, url, depth) => {
+  const { options, pathPrefix } = crawl;
+  if (NON_PAGE_FILES.test(new URL(url).pathname)) return "notPage";
+  if (options.exclude.length && matchesAny(options.exclude, url)) return "excluded";
+  if (options.include.length && !matchesAny(options.include, url)) return "notIncluded";
+  if (pathPrefix !== null) {
+    const { pathname } = new URL(url);
+    if (pathname !== pathPrefix && !pathname.startsWith(`${pathPrefix}/`)) {
+      return "outsidePathPrefix";
+    }
+  }
+  if (depth > options.maxDepth) return "maxDepth";
+  if (crawl.visited.size + crawl.queue.length >= options.maxPages) return "maxPages";
+  return null;
+};
+
+export const enqueueLink = (crawl, url, depth) => {
+  if (crawl.visited.has(url) || crawl.queue.includes(url)) return false;
+  // A link too deep on one page may still be reachable at a shallower depth.
+  if (crawl.skipped.has(url) && crawl.skipped.get(url) !== "maxDepth") return false;
+
+  const reason = outOfScopeReason(crawl, url, depth);
+  if (reason) {
+    crawl.skipped.set(url, reason);
+    if (reason === "maxDepth" || reason === "maxPages") crawl.limitsHit.add(reason);
+    return false;
+  }
+
+  crawl.skipped.delete(url);
+  crawl.queue.push(url);
+  crawl.depths.set(url, depth);
+  crawl.pageStatus.set(url, "queued");
+  crawl.progress.queued = crawl.queue.length;
+  return true;
+};
+
+// Whether url has, or will get, a local copy that links can point at: it was
+// captured, or is queued or loading. Pages that failed or were skipped for any
+// reason keep their live URL.
+export const isCapturedPage = (crawl, url) =>
+  ["queued", "active", "done"].includes(crawl.pageStatus.get(url));
+
+// Big sites skip thousands of URLs, so results carry counts and the first few;
+// crawl-state.json keeps every one.
+const SKIPPED_LIMIT = 25;
+
+export const summarizeScope = (crawl) => {
+  const skippedByReason = {};
+  for (const reason of crawl.skipped.values()) {
+    skippedByReason[reason] = (skippedByReason[reason] || 0) + 1;
+  }
+  return {
+    limitsHit: Array.from(crawl.limitsHit),
+    skippedCount: crawl.skipped.size,
+    skippedByReason,
+    skipped: Array.from(crawl.skipped, ([url, reason]) => ({ url, reason })).slice(0, SKIPPED_LIMIT),
+  };
+};
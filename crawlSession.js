@@ -0,0 +1,190 @@
+// Authenticated crawling: one session (cookie jar, extra headers, basic-auth
+// credentials) shared by every browser page and by the asset fetches. Headers
+// and credentials are only sent to the start URL's host; cookies follow their
+// own domain and path.
+
+const LOGIN_TIMEOUT_MS = 30000;
+
+const toCookieList = (cookies, hostname) => {
+  if (!cookies) return [];
+  // "a=1; b=2", as copied from a browser's Cookie header
+  if (typeof cookies === "string") {
+    return cookies
+      .split(";")
+      .map((pair) => pair.trim())
+      .filter(Boolean)
+      .map((pair) => {
+        const separator = pair.indexOf("=");
+        if (separator < 1) throw new Error(`Invalid cookie: ${pair}`);
+        return {
+          name: pair.slice(0, separator).trim(),
+          value: pair.slice(separator + 1).trim(),
+          domain: hostname,
+          path: "/",
+        };
+      });
+  }
+  if (!Array.isArray(cookies)) {
+    throw new Error("auth.cookies must be a cookie string or an array of cookies");
+  }
+  return cookies.map((cookie) => {
+    if (!cookie?.name || typeof cookie.value !== "string") {
+      throw new Error("Every cookie needs a name and a string value");
+    }
+    return { ...cookie, domain: cookie.domain || hostname, path: cookie.path || "/" };
+  });
+};
+
+const resolveLogin = (login) => {
+  if (!login) return null;
+  if (!login.url || typeof login.fields !== "object") {
+    throw new Error("auth.login needs a url and the fields to fill");
+  }
+  return {
+    url: new URL(login.url).href,
+    fields: login.fields,
+    submit: login.submit || null,
+    waitFor: login.waitFor || null,
+  };
+};
+
+export const resolveAuthOptions = (auth, startUrl) => {
+  if (!auth) return null;
+  const { hostname } = new URL(startUrl);
+  if (auth.basic && !(auth.basic.username && typeof auth.basic.password === "string")) {
+    throw new Error("auth.basic needs a username and a password");
+  }
+  return {
+    cookies: toCookieList(auth.cookies, hostname),
+    headers: { ...(auth.headers || {}) },
+    basic: auth.basic || null,
+    login: resolveLogin(auth.login),
+  };
+};
+
+// Credentials never end up in job listings or crawl-state.json, so resuming an
+// authenticated crawl needs the auth option again.
+export const withoutAuth = (options) => {
+  if (!options?.auth) return options;
+  const { auth, ...rest } = options;
+  return rest;
+};
+
+const domainMatches = (hostname, domain) => {
+  const bare = domain.replace(/^\./, "").toLowerCase();
+  return hostname === bare || hostname.endsWith(`.${bare}`);
+};
+
+export const createCrawlSession = (startUrl, auth) => {
+  const options = resolveAuthOptions(auth, startUrl);
+  const { hostname } = new URL(startUrl);
+  // name|domain|path -> cookie, updated from the browser as the site sets cookies
+  const jar = new Map();
+  const keep = (cookie) =>
+    jar.set(`${cookie.name}|${cookie.domain}|${cookie.path || "/"}`, cookie);
+  options?.cookies.forEach(keep);
+
+  const inScope = (url) => new URL(url).hostname === hostname;
+
+  const cookiesFor = (url) => {
+    const { hostname: host, pathname, protocol } = new URL(url);
+    const now = Date.now() / 1000;
+    return Array.from(jar.values()).filter(
+      (cookie) =>
+        domainMatches(host, cookie.domain) &&
+        pathname.startsWith(cookie.path || "/") &&
+        (!cookie.secure || protocol === "https:") &&
+        !(cookie.expires > 0 && cookie.expires < now)
+    );
+  };
+
+  // Extra headers and basic auth for a request, without cookies
+  const headersFor = (url) => {
+    if (!options || !inScope(url)) return {};
+    const headers = { ...options.headers };
+    if (options.basic) {
+      const { username, password } = options.basic;
+      headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`;
+    }
+    return headers;
+  };
+
+  // Headers for a fetch outside the browser, cookies included
+  const requestHeaders = (url) => {
+    const headers = headersFor(url);
+    const cookies = cookiesFor(url);
+    if (cookies.length > 0) {
+      headers.Cookie = cookies.map(({ name, value }) => `${name}=${value}`).join("; ");
+    }
+    return headers;
+  };
+
+  const interceptsRequests = Boolean(
+    options && (options.basic || Object.keys(options.headers).length > 0)
+  );
+
+  const preparePage = async (page) => {
+    if (!options) return;
+    // Basic auth goes in as a header too: page.authenticate would answer a 401
+    // from any host with the credentials.
+    if (interceptsRequests) {
+      await page.setRequestInterception(true);
+      // Cooperative (priority 0), so other handlers can still abort requests
+      page.on("request", (request) => {
+        if (request.isInterceptResolutionHandled()) return;
+        request.continue({ headers: { ...request.headers(), ...headersFor(request.url()) } }, 0);
+      });
+    }
+    if (jar.size > 0) await page.setCookie(...jar.values());
+  };
+
+  // Picks up cookies the site set or refreshed while the page loaded.
+  const captureCookies = async (page) => {
+    if (!options) return;
+    for (const cookie of await page.cookies()) keep(cookie);
+  };
+
+  // Fills in and submits the login form once, before the crawl starts.
+  const login = async (browser) => {
+    if (!options?.login) return;
+    const { url, fields, submit, waitFor } = options.login;
+    const page = await browser.newPage();
+    try {
+      await preparePage(page);
+      await page.goto(url, { waitUntil: "networkidle2", timeout: LOGIN_TIMEOUT_MS });
+      for (const [selector, value] of Object.entries(fields)) {
+        await page.waitForSelector(selector, { timeout: LOGIN_TIMEOUT_MS });
+        await page.$eval(selector, (field) => {
+          field.value = "";
+        });
+        await page.type(selector, String(value));
+      }
+      const loggedIn = waitFor
+        ? page.waitForSelector(waitFor, { timeout: LOGIN_TIMEOUT_MS })
+        : page.waitForNavigation({ waitUntil: "networkidle2", timeout: LOGIN_TIMEOUT_MS });
+      if (submit) {
+        await page.click(submit);
+      } else {
+        await page.keyboard.press("Enter");
+      }
+      await loggedIn;
+      for (const cookie of await page.cookies(page.url(), startUrl)) keep(cookie);
+      console.log(`🔑 Logged in at ${url}`);
+    } catch (err) {
+      throw new Error(`Login failed: ${err.message}`);
+    } finally {
+      await page.close().catch(() => {});
+    }
+  };
+
+  return {
+    authenticated: Boolean(options),
+    interceptsRequests,
+    // Names of the headers from auth.headers, which are as secret as cookies
+    secretHeaders: Object.keys(options?.headers || {}),
+    requestHeaders,
+    preparePage,
+    captureCookies,
+    login,
+  };
+};
@@ -0,0 +1,611 @@
+import fs from "fs/promises";
+import path from "path";
+import puppeteer from "puppeteer-extra";
+import StealthPlugin from "puppeteer-extra-plugin-stealth";
+import pLimit from "p-limit";
+
+import {
+  resolveCrawlOptions,
+  createCrawlState,
+  enqueueLink,
+  isInternalUrl,
+  isCapturedPage,
+  summarizeScope,
+} from "./crawlScope.js";
+import { createPoliteness, resolvePolitenessOptions } from "./politeness.js";
+import { createCrawlSession, withoutAuth } from "./crawlSession.js";
+import { seedFromSitemaps } from "./sitemap.js";
+import { prepareResume, saveFrontier, restoreFrontier } from "./frontier.js";
+import { createValidatorStore } from "./validators.js";
+import { createAssetStore } from "./assetStore.js";
+import { createCssPipeline } from "./cssAssets.js";
+import { createWarcWriter } from "./warcArchive.js";
+import { createPageIndex, extractPageMetadata } from "./pageIndex.js";
+import { openSearchIndex } from "./searchIndex.js";
+import { createCrawlReport, describeProblems } from "./crawlReport.js";
+import { createSiteMap } from "./siteMap.js";
+import { createOutputUrls } from "./outputUrls.js";
+import { createUrlNormalizer } from "./urlNormalizer.js";
+import { resolveScriptMode, applyScriptMode } from "./scriptModes.js";
+import { materializeAdoptedStyles, declareShadowRoots } from "./shadowDom.js";
+import {
+  MAX_FRAME_DEPTH,
+  frameFileFor,
+  sameOriginFrames,
+  pointFrameAt,
+  swapFrameSources,
+} from "./frames.js";
+import { resolveSpaOptions, createSpaDiscovery } from "./spaRoutes.js";
+import { describeDevice, applyDeviceProfile } from "./deviceProfiles.js";
+import { projectDir, openProject, updateProject } from "./projects.js";
+
+// The crawler behind both the scrape_website tool and the /webScrape route:
+// prepareCrawl validates a crawl's options up front, runCrawl captures the site
+// into its project. Callers can follow along through hooks, each awaited:
+// - beforePage({ page, url, file, depth }): the page is set up (device,
+//   session) but has not navigated yet
+// - afterPage({ page, url, file, depth, outcome, content, links, error }): the
+//   page is finished; outcome is "saved", "unchanged", "notModified", "failed"
+//   or "cancelled", and page is missing for notModified pages, which are not
+//   loaded
+// - onAsset({ url, file, contentType, hash, fresh }): an asset was localized;
+//   fresh is false when an earlier crawl's copy was reused (304 or same hash)
+// A hook that throws is logged and the crawl goes on.
+
+puppeteer.use(StealthPlugin());
+
+// Pages loaded at once, per crawl
+const CONCURRENCY_LIMIT = 5;
+const NAVIGATION_TIMEOUT_MS = 30000;
+
+const runHook = async (crawl, name, context) => {
+  const hook = crawl.hooks[name];
+  if (!hook) return;
+  try {
+    await hook(context);
+  } catch (err) {
+    console.warn(`⚠️ ${name} hook failed: ${err.message}`);
+  }
+};
+
+async function getFolderStructure(dir, base = "") {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+
+  const structure = [];
+
+  for (const entry of entries) {
+    if (["assets", "screenshots", "thumbnails", "warc"].includes(entry.name)) continue; // ⛔ Skip asset, screenshot and archive folders
+    if (entry.name.startsWith(".")) continue; // Edit history and other dot folders
+
+    const relativePath = path.join(base, entry.name);
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      const children = await getFolderStructure(fullPath, relativePath);
+      structure.push({ type: "folder", name: entry.name, children });
+    } else {
+      structure.push({ type: "file", name: entry.name });
+    }
+  }
+
+  return structure;
+}
+
+
+const autoScroll = async (page) => {
+  await page.evaluate(async () => {
+    await new Promise((resolve) => {
+      let totalHeight = 0;
+      const distance = 100;
+      const timer = setInterval(() => {
+        const scrollHeight = document.body.scrollHeight;
+        window.scrollBy(0, distance);
+        totalHeight += distance;
+        if (totalHeight >= scrollHeight) {
+          clearInterval(timer);
+          resolve();
+        }
+      }, 100);
+    });
+  });
+};
+
+const extractInternalLinks = async (frame, baseUrl, crawl) => {
+  const links = await frame.$$eval("pierce/a[href]", (anchors) =>
+    anchors.map((a) => a.href)
+  );
+  const uniqueLinks = Array.from(
+    new Set(
+      links
+        .map((link) => {
+          try {
+            const u = new URL(link, baseUrl);
+            return isInternalUrl(crawl, u.href) ? u.href : null;
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean)
+        .map(crawl.normalize)
+        .filter(Boolean)
+    )
+  );
+  return uniqueLinks;
+};
+
+// Rewrites a frame's document for offline use and returns its HTML with the
+// internal links found in it. Same-origin child frames are captured into files
+// of their own first, and open shadow roots are written out as declarative
+// shadow DOM last.
+async function captureDocument(frame, documentFile, baseDir, crawl, depth, frameDepth = 0) {
+  // Everything the document links to is written relative to its own file.
+  const linkTo = (file) => crawl.output.href(documentFile, file);
+  const documentUrl = frame.url();
+  const frameLinks = [];
+
+  if (frameDepth < MAX_FRAME_DEPTH) {
+    for (const [i, child] of sameOriginFrames(frame).entries()) {
+      const childUrl = child.url();
+      const childFile = frameFileFor(documentFile, i + 1);
+      try {
+        const captured = await captureDocument(child, childFile, baseDir, crawl, depth, frameDepth + 1);
+        const childPath = path.join(baseDir, childFile);
+        await fs.mkdir(path.dirname(childPath), { recursive: true });
+        await fs.writeFile(childPath, captured.content);
+        await pointFrameAt(child, linkTo(childFile));
+        frameLinks.push(...captured.links);
+        console.log(`🖼️ Saved frame: ${childUrl} → ${childPath}`);
+      } catch (err) {
+        console.warn(`🖼️ Frame failed: ${childUrl}, ${err.message}`);
+        crawl.report.assetFailed(childUrl, err.message, documentFile);
+      }
+    }
+  }
+
+  await materializeAdoptedStyles(frame);
+
+  // Handle images
+  const imageHandles = await frame.$$eval("pierce/img", (imgs) => {
+    const base = location.origin;
+    function getBestSrc(srcset) {
+      if (!srcset) return null;
+      const candidates = srcset.split(",").map((s) => s.trim().split(" ")[0]);
+      return candidates[candidates.length - 1] || null;
+    }
+    return imgs
+      .map((img) => {
+        const srcset = img.getAttribute("srcset");
+        let src = getBestSrc(srcset);
+        if (!src) src = img.getAttribute("src") || "";
+        try {
+          return new URL(src, base).href;
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  });
+
+  const localImagePaths = [];
+
+  for (const imageUrl of imageHandles) {
+    const file = await crawl.assets.localize(imageUrl, documentFile);
+    localImagePaths.push(file ? linkTo(file) : imageUrl); // fallback
+  }
+
+  await frame.$$eval(
+    "pierce/img",
+    (imgs, newSources) => {
+      imgs.forEach((img, i) => {
+        if (newSources[i]) {
+          img.setAttribute("src", newSources[i]);
+        }
+        img.removeAttribute("srcset");
+      });
+    },
+    localImagePaths
+  );
+
+  // Keep, freeze or strip the page's scripts
+  await applyScriptMode(frame, crawl.scriptMode, async (src) => {
+    const file = await crawl.assets.localize(src, documentFile);
+    return file && linkTo(file);
+  });
+
+  // Extract and enqueue new internal links
+  const internalLinks = await extractInternalLinks(frame, documentUrl, crawl);
+  for (const link of internalLinks) {
+    enqueueLink(crawl, link, depth + 1);
+  }
+
+  // Rewrite anchor hrefs to local paths. Only pages the crawl captures get one,
+  // which is known now that this page's links are queued; links to the rest
+  // keep pointing at the live site.
+  const anchorHrefs = await frame.$$eval("pierce/a[href]", (anchors) =>
+    anchors.map((a) => a.href)
+  );
+  const localAnchors = await Promise.all(
+    anchorHrefs.map(async (href) => {
+      try {
+        const target = new URL(href, documentUrl);
+        if (!isInternalUrl(crawl, target.href)) return null;
+        const targetUrl = crawl.normalize(target.href);
+        // Written out in full, since a relative link would not reach the live site
+        if (!targetUrl || !isCapturedPage(crawl, targetUrl)) return target.href;
+        // Queued pages are checked against robots.txt only when they load
+        if (!(await crawl.politeness.isAllowed(targetUrl))) return target.href;
+        // A fragment that is not a hash route still points into the page
+        const fragment = new URL(targetUrl).hash ? "" : target.hash;
+        return `${linkTo(crawl.output.pageFile(targetUrl))}${fragment}`;
+      } catch {
+        return null;
+      }
+    })
+  );
+  await frame.$$eval(
+    "pierce/a[href]",
+    (anchors, local) => {
+      anchors.forEach((a, i) => {
+        if (local[i]) a.setAttribute("href", local[i]);
+      });
+    },
+    localAnchors
+  );
+
+  // Localize url() references in <style> blocks and style attributes. This
+  // runs before stylesheets are inlined, whose CSS is localized already.
+  const styleBlocks = await frame.$$eval("pierce/style", (styles) =>
+    styles.map((style) => style.textContent)
+  );
+  const rewrittenBlocks = await Promise.all(
+    styleBlocks.map((css) => crawl.css.rewriteCss(css, documentUrl, documentFile))
+  );
+  await frame.$$eval(
+    "pierce/style",
+    (styles, rewritten) => {
+      styles.forEach((style, i) => {
+        style.textContent = rewritten[i];
+      });
+    },
+    rewrittenBlocks
+  );
+
+  const styleAttributes = await frame.$$eval("pierce/[style*='url(']", (elements) =>
+    elements.map((el) => el.getAttribute("style"))
+  );
+  const rewrittenAttributes = await Promise.all(
+    styleAttributes.map((css) => crawl.css.rewriteCss(css, documentUrl, documentFile))
+  );
+  await frame.$$eval(
+    "pierce/[style*='url(']",
+    (elements, rewritten) => {
+      elements.forEach((el, i) => el.setAttribute("style", rewritten[i]));
+    },
+    rewrittenAttributes
+  );
+
+  // Inline styles. Head styles do not reach into shadow roots, so stylesheets
+  // linked inside one are inlined where the link was.
+  const stylesheets = await frame.$$eval("pierce/link[rel='stylesheet']", (links) =>
+    links.map((link) => ({ href: link.href, shadow: link.getRootNode() instanceof ShadowRoot }))
+  );
+
+  let cssContent = "";
+  const inlinedSheets = {};
+  for (const { href, shadow } of stylesheets) {
+    try {
+      if (!(href in inlinedSheets)) {
+        const response = await crawl.politeness.fetch(href);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const css = await response.text();
+        inlinedSheets[href] = await crawl.css.rewriteCss(css, href, documentFile);
+      }
+      if (!shadow) cssContent += `\n/* ${href} */\n${inlinedSheets[href]}`;
+    } catch (err) {
+      console.warn(`🎨 Stylesheet failed: ${href}, ${err.message}`);
+      crawl.report.assetFailed(href, err.message, documentFile);
+    }
+  }
+
+  // The inlined copies replace the links, which would not resolve offline.
+  await frame.$$eval(
+    "pierce/link[rel='stylesheet']",
+    (links, inlined) => {
+      links.forEach((link) => {
+        if (!(link.href in inlined)) return;
+        if (link.getRootNode() instanceof ShadowRoot) {
+          const style = document.createElement("style");
+          style.textContent = inlined[link.href];
+          link.replaceWith(style);
+        } else {
+          link.remove();
+        }
+      });
+    },
+    inlinedSheets
+  );
+
+  // The site's own <base> would redirect the rewritten relative links
+  await frame.$$eval("base", (bases) => bases.forEach((base) => base.remove()));
+
+  await declareShadowRoots(frame);
+  let content = swapFrameSources(await frame.content());
+
+  if (cssContent) {
+    content = content.replace(
+      "</head>",
+      `<style>${cssContent}</style></head>`
+    );
+  }
+
+  return { content, links: Array.from(new Set([...internalLinks, ...frameLinks])) };
+}
+
+async function scrapePage(browser, url, baseDir, crawl) {
+  if (crawl.signal?.aborted) return;
+  const normalizedUrl = crawl.normalize(url);
+  if (!normalizedUrl || crawl.visited.has(normalizedUrl)) return;
+  crawl.visited.add(normalizedUrl);
+  const depth = crawl.depths.get(normalizedUrl) ?? 0;
+
+  if (!(await crawl.politeness.isAllowed(normalizedUrl))) {
+    console.warn(`🤖 Skipping ${normalizedUrl}: disallowed by robots.txt`);
+    crawl.visited.delete(normalizedUrl);
+    crawl.pageStatus.delete(normalizedUrl);
+    crawl.skipped.set(normalizedUrl, "robots");
+    return;
+  }
+
+  const pageFile = crawl.output.pageFile(normalizedUrl);
+  crawl.report.startPage(normalizedUrl, { file: pageFile, depth });
+
+  const notModified = await crawl.validators
+    .pageNotModified(crawl.politeness, normalizedUrl)
+    .catch(() => null);
+  if (notModified) {
+    for (const link of notModified.links || []) {
+      enqueueLink(crawl, link, depth + 1);
+    }
+    crawl.report.finishPage(normalizedUrl, "notModified", { status: 304 });
+    await runHook(crawl, "afterPage", {
+      url: normalizedUrl,
+      file: pageFile,
+      depth,
+      outcome: "notModified",
+      links: notModified.links || [],
+    });
+    console.log(`⏭️ Not modified: ${normalizedUrl}`);
+    crawl.progress.done++;
+    crawl.pageStatus.set(normalizedUrl, "done");
+    return;
+  }
+
+  const page = await browser.newPage();
+  const recording = crawl.warc.recordPage(page);
+  crawl.progress.active++;
+  crawl.progress.currentUrl = normalizedUrl;
+  crawl.pageStatus.set(normalizedUrl, "active");
+  try {
+    await applyDeviceProfile(page, crawl.device);
+    await crawl.session.preparePage(page);
+    await crawl.spa.preparePage(page);
+    await runHook(crawl, "beforePage", { page, url: normalizedUrl, file: pageFile, depth });
+    const pageResponse = await crawl.politeness.navigate(page, normalizedUrl, {
+      waitUntil: "networkidle2",
+      timeout: NAVIGATION_TIMEOUT_MS,
+    });
+    crawl.report.pageResponse(normalizedUrl, pageResponse);
+    await autoScroll(page);
+    await crawl.session.captureCookies(page);
+
+    // Screenshot and index the page as rendered, before anything is rewritten
+    await crawl.siteMap
+      .capture(page, normalizedUrl, pageFile)
+      .catch((err) => console.warn(`📸 Screenshot failed for ${normalizedUrl}: ${err.message}`));
+    const metadata = await extractPageMetadata(page);
+
+    const { content, links: documentLinks } = await captureDocument(
+      page.mainFrame(),
+      pageFile,
+      baseDir,
+      crawl,
+      depth
+    );
+    // Routes a single-page app navigates to without links
+    const spaRoutes = await crawl.spa.discover(page, normalizedUrl);
+    for (const route of spaRoutes) {
+      enqueueLink(crawl, route, depth + 1);
+    }
+    const internalLinks = Array.from(new Set([...documentLinks, ...spaRoutes]));
+    crawl.report.linksFound(normalizedUrl, internalLinks);
+
+    const filePath = path.join(baseDir, pageFile);
+    const headers = pageResponse?.headers() || {};
+    const change = await crawl.validators.recordPage(normalizedUrl, {
+      etag: headers.etag,
+      lastModified: headers["last-modified"],
+      content,
+      filePath,
+      links: internalLinks,
+    });
+    if (change === "unchanged") {
+      console.log(`⏭️ Unchanged: ${normalizedUrl}`);
+    } else {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content);
+      console.log(`✅ Saved: ${normalizedUrl} → ${filePath}`);
+    }
+    const outcome = change === "unchanged" ? "unchanged" : "saved";
+    crawl.report.finishPage(normalizedUrl, outcome);
+    crawl.pageIndex.record(normalizedUrl, pageFile, metadata);
+    crawl.search.indexPage(pageFile, content, normalizedUrl);
+    await runHook(crawl, "afterPage", {
+      page,
+      url: normalizedUrl,
+      file: pageFile,
+      depth,
+      outcome,
+      content,
+      links: internalLinks,
+    });
+    crawl.progress.done++;
+    crawl.pageStatus.set(normalizedUrl, "done");
+  } catch (err) {
+    // Pages still loading when a job is cancelled fail because the browser closed.
+    if (!crawl.signal?.aborted) {
+      console.warn(`❌ Failed ${normalizedUrl}: ${err.message}`);
+      crawl.progress.failed++;
+    }
+    const outcome = crawl.signal?.aborted ? "cancelled" : "failed";
+    crawl.report.finishPage(normalizedUrl, outcome, { error: err.message });
+    crawl.pageStatus.set(normalizedUrl, "failed");
+    await runHook(crawl, "afterPage", {
+      page,
+      url: normalizedUrl,
+      file: pageFile,
+      depth,
+      outcome,
+      error: err.message,
+    });
+  } finally {
+    crawl.progress.active--;
+    await recording.flush();
+    await page.close().catch(() => {});
+  }
+}
+
+// Validates one crawl's options and sets up what needs no browser yet; throws
+// with a message for the client. device is a resolved profile.
+export const prepareCrawl = async (startUrl, projectId, device, options) => {
+  const resume = await prepareResume(projectDir(projectId), startUrl, options);
+  const crawlOptions = resolveCrawlOptions(resume.options);
+  const normalize = createUrlNormalizer(crawlOptions);
+  const session = createCrawlSession(startUrl, crawlOptions.auth);
+  const warc = createWarcWriter(projectDir(projectId), crawlOptions.warc, session.secretHeaders);
+  resolvePolitenessOptions(crawlOptions);
+  const output = createOutputUrls(crawlOptions, startUrl);
+  crawlOptions.scripts = resolveScriptMode(crawlOptions.scripts);
+  crawlOptions.spa = resolveSpaOptions(crawlOptions.spa);
+  return {
+    // Each crawl has its own browser and its own page slots, so crawls running
+    // side by side do not wait on each other. Once a crawl is cancelled its
+    // queued pages return right away and free theirs.
+    limit: pLimit(CONCURRENCY_LIMIT),
+    startUrl,
+    projectId,
+    device,
+    resume,
+    crawlOptions,
+    normalize,
+    session,
+    warc,
+    output,
+  };
+};
+
+// Crawls the site set up by prepareCrawl. Pass a job from startJob to report
+// progress into it and stop when it is cancelled. Resolves with the crawl's
+// result, cancelled ones included, and throws when the crawl failed.
+export const runCrawl = async (setup, { job = null, headless = "new", hooks = {} } = {}) => {
+  const { limit, startUrl, projectId, device, resume, crawlOptions, normalize, session, warc, output } = setup;
+  const project = await openProject(projectId, startUrl);
+  const baseDir = project.dir;
+
+  const crawl = createCrawlState(startUrl, crawlOptions, job?.progress);
+  crawl.hooks = hooks;
+  crawl.limit = limit;
+  crawl.session = session;
+  crawl.warc = warc;
+  crawl.signal = job?.signal ?? null;
+  crawl.politeness = createPoliteness(crawlOptions, session, warc, crawl.signal);
+  crawl.output = output;
+  crawl.scriptMode = crawlOptions.scripts;
+  crawl.device = device;
+  crawl.normalize = normalize;
+  const resumed = resume.saved ? restoreFrontier(crawl, resume.saved) : undefined;
+  crawl.validators = await createValidatorStore(baseDir, crawlOptions.incremental);
+  crawl.assets = await createAssetStore(crawl, {
+    baseDir,
+    onAsset: (asset) => runHook(crawl, "onAsset", asset),
+  });
+  crawl.css = createCssPipeline(crawl);
+  crawl.spa = createSpaDiscovery(crawl);
+  crawl.siteMap = await createSiteMap(baseDir, crawlOptions.screenshots);
+  crawl.report = createCrawlReport(baseDir);
+  crawl.pageIndex = await createPageIndex(baseDir, (url) => isInternalUrl(crawl, url));
+  crawl.search = await openSearchIndex(baseDir);
+  const persist = async (status) => {
+    await saveFrontier(baseDir, crawl, { options: withoutAuth(resume.options), status });
+    await crawl.validators.save();
+    await crawl.assets.save();
+    await crawl.siteMap.save();
+    await crawl.warc.save();
+    await crawl.report.save(status);
+    await crawl.pageIndex.save();
+    await crawl.search.save();
+    await updateProject(projectId, {
+      crawledAt: new Date().toISOString(),
+      scripts: crawl.scriptMode,
+      device: describeDevice(crawl.device),
+      publicBaseUrl: crawl.output.publicBaseUrl,
+      lastCrawl: { status, pages: crawl.progress.done, failed: crawl.progress.failed },
+    });
+  };
+
+  let browser;
+  const closeBrowser = () => browser?.close().catch(() => {});
+  try {
+    browser = await puppeteer.launch({ headless });
+    crawl.signal?.addEventListener("abort", closeBrowser, { once: true });
+    await crawl.session.login(browser);
+
+    let sitemap;
+    if (crawlOptions.sitemap && startUrl && !resumed) {
+      sitemap = await seedFromSitemaps(crawl, startUrl, baseDir, crawl.normalize);
+    }
+
+    while (crawl.queue.length > 0 && !crawl.signal?.aborted) {
+      const batch = crawl.queue.splice(0, CONCURRENCY_LIMIT);
+      crawl.progress.queued = crawl.queue.length;
+      await Promise.all(
+        batch.map((link) =>
+          crawl.limit(() => scrapePage(browser, link, baseDir, crawl))
+        )
+      );
+      await persist("running");
+    }
+    const cancelled = Boolean(crawl.signal?.aborted);
+    const status = cancelled ? "cancelled" : "completed";
+    await persist(status);
+
+    const folderStructure = await getFolderStructure(baseDir);
+    const report = crawl.report.summarize(status);
+    const problems = describeProblems(report);
+    let message = `Scraped ${crawl.visited.size} pages successfully.`;
+    if (cancelled) {
+      message = `Crawl cancelled after ${crawl.progress.done} pages.`;
+    } else if (problems) {
+      message = `Scraped ${crawl.visited.size} pages with ${problems} (see ${report.file}).`;
+    }
+    return {
+      message,
+      project: projectId,
+      previewUrl: project.previewUrl,
+      cancelled: cancelled || undefined,
+      structure: folderStructure,
+      sitemap,
+      siteMap: crawl.siteMap.summarize(project.previewUrl),
+      warc: crawl.warc.summarize(),
+      resumed,
+      changes: crawl.validators.summarize({ complete: !cancelled, visited: crawl.visited }),
+      report,
+      ...summarizeScope(crawl),
+    };
+  } catch (err) {
+    await persist(crawl.signal?.aborted ? "cancelled" : "failed").catch(() => {});
+    throw err;
+  } finally {
+    crawl.signal?.removeEventListener("abort", closeBrowser);
+    if (browser?.isConnected()) await browser.close();
+  }
+};
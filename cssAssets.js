@@ -0,0 +1,92 @@
+// CSS asset pipeline: inlines @import chains and downloads everything url()
+// points at (fonts, background images, cursors...) into the crawl's asset
+// store, so inlined CSS keeps working offline. The CSS ends up inside a
+// captured page, so url()s are written relative to that page's file.
+
+const IMPORT_PATTERN =
+  /@import\s+(?:url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])([^'"]+)\3)\s*([^;]*);/gi;
+export const URL_PATTERN = /url\(\s*(['"]?)([^'")]+?)\1\s*\)/gi;
+
+// Fragment-only references (url(#gradient)) and inline data stay as they are.
+export const isLocalReference = (ref) => /^(data:|#|about:|blob:)/i.test(ref.trim());
+
+export const replaceAsync = async (text, pattern, replacer) => {
+  const matches = Array.from(text.matchAll(pattern));
+  const replacements = await Promise.all(matches.map((match) => replacer(...match)));
+  let result = "";
+  let lastIndex = 0;
+  matches.forEach((match, i) => {
+    result += text.slice(lastIndex, match.index) + replacements[i];
+    lastIndex = match.index + match[0].length;
+  });
+  return result + text.slice(lastIndex);
+};
+
+export const createCssPipeline = (crawl) => {
+  const rewriteUrls = (css, baseUrl, pageFile) =>
+    replaceAsync(css, URL_PATTERN, async (match, quote, ref) => {
+      if (isLocalReference(ref)) return match;
+      let resolved;
+      try {
+        resolved = new URL(ref.trim(), baseUrl);
+      } catch {
+        return match;
+      }
+      const fragment = resolved.hash;
+      resolved.hash = "";
+      // Falls back to the absolute URL, which at least works while online.
+      const file = await crawl.assets.localize(resolved.href, pageFile);
+      const localUrl = file ? crawl.output.href(pageFile, file) : resolved.href;
+      return `url("${localUrl}${fragment}")`;
+    });
+
+  const inlineImport = async ([match, , urlRef, , stringRef, media], baseUrl, pageFile, ancestors) => {
+    let importUrl;
+    try {
+      importUrl = new URL(urlRef || stringRef, baseUrl).href;
+    } catch {
+      return match;
+    }
+    if (ancestors.has(importUrl)) return `/* @import cycle: ${importUrl} */`;
+    try {
+      const response = await crawl.politeness.fetch(importUrl);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const imported = await rewriteCss(
+        await response.text(),
+        importUrl,
+        pageFile,
+        new Set([...ancestors, importUrl])
+      );
+      // layer() and supports() conditions are dropped rather than mistranslated.
+      const condition = media.trim();
+      const body =
+        condition && !/^(layer|supports)\b/i.test(condition)
+          ? `@media ${condition} {\n${imported}\n}`
+          : imported;
+      return `\n/* @import ${importUrl} */\n${body}\n`;
+    } catch (err) {
+      console.warn(`CSS @import failed: ${importUrl}, ${err.message}`);
+      crawl.report.assetFailed(importUrl, err.message, pageFile);
+      return `@import url("${importUrl}")${media.trim() ? ` ${media.trim()}` : ""};`;
+    }
+  };
+
+  // Imports are swapped for placeholders first so their url() is not taken for
+  // an asset, and so already-localized imported CSS is not rewritten twice.
+  // pageFile is the project-relative file of the page the CSS is written into.
+  // `ancestors` holds the stylesheets on the current @import chain to stop cycles.
+  const rewriteCss = async (css, baseUrl, pageFile, ancestors = new Set([baseUrl])) => {
+    const imports = [];
+    const withoutImports = css.replace(IMPORT_PATTERN, (...match) => {
+      imports.push(match);
+      return `\u0000import${imports.length - 1}\u0000`;
+    });
+    const rewritten = await rewriteUrls(withoutImports, baseUrl, pageFile);
+    const inlined = await Promise.all(
+      imports.map((match) => inlineImport(match, baseUrl, pageFile, ancestors))
+    );
+    return rewritten.replace(/\u0000import(\d+)\u0000/g, (_, i) => inlined[Number(i)]);
+  };
+
+  return { rewriteCss };
+};
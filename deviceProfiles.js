@@ -0,0 +1,114 @@
+import { projectIdFor, validateProjectId } from "./projects.js";
+
+// Device profiles pages are captured with: viewport, pixel ratio, touch and
+// user agent. Each profile of a site is its own project, so the mobile copy
+// can be edited and previewed next to the desktop one.
+
+export const DEFAULT_DEVICE = "desktop";
+
+export const DEVICE_PROFILES = {
+  desktop: {
+    width: 1440,
+    height: 900,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: null,
+  },
+  tablet: {
+    width: 820,
+    height: 1180,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent:
+      "Mozilla/5.0 (iPad; CPU OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1",
+  },
+  mobile: {
+    width: 390,
+    height: 844,
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    userAgent:
+      "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1",
+  },
+};
+
+const toDimension = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > 10000) {
+    throw new Error(`device.${name} must be a whole number of pixels`);
+  }
+  return number;
+};
+
+// A profile name, or a custom { name, width, height, deviceScaleFactor,
+// isMobile, hasTouch, userAgent }. A custom profile may start from a named one
+// with `base`.
+export const resolveDeviceProfile = (value = DEFAULT_DEVICE) => {
+  if (value === null) value = DEFAULT_DEVICE;
+  if (Array.isArray(value)) {
+    throw new Error("A single crawl takes one device; start one crawl per device");
+  }
+  if (typeof value === "string") {
+    const preset = DEVICE_PROFILES[value];
+    if (!preset) {
+      throw new Error(`Unknown device "${value}". Use ${Object.keys(DEVICE_PROFILES).join(", ")} or a custom viewport`);
+    }
+    return { name: value, ...preset, spec: value };
+  }
+  if (typeof value !== "object") {
+    throw new Error("device must be a profile name or a custom viewport object");
+  }
+
+  const base = resolveDeviceProfile(value.base || DEFAULT_DEVICE);
+  const isMobile = value.isMobile ?? base.isMobile;
+  return {
+    name: validateProjectId(value.name || "custom"),
+    width: value.width === undefined ? base.width : toDimension(value.width, "width"),
+    height: value.height === undefined ? base.height : toDimension(value.height, "height"),
+    deviceScaleFactor: Number(value.deviceScaleFactor ?? base.deviceScaleFactor) || 1,
+    isMobile: Boolean(isMobile),
+    hasTouch: Boolean(value.hasTouch ?? (value.isMobile === undefined ? base.hasTouch : isMobile)),
+    userAgent: value.userAgent || base.userAgent,
+    spec: value,
+  };
+};
+
+export const describeDevice = ({ spec, ...profile }) => profile;
+
+// "example-com" stays as is for desktop and becomes "example-com-mobile" for mobile.
+export const deviceProjectId = (baseId, profile) => {
+  if (profile.name === DEFAULT_DEVICE) return validateProjectId(baseId);
+  const suffix = `-${profile.name}`;
+  return validateProjectId(`${baseId.slice(0, 64 - suffix.length)}${suffix}`);
+};
+
+// The project a single crawl with this profile goes to when none is given.
+export const projectForDevice = (url, project, profile) =>
+  project ? validateProjectId(project) : deviceProjectId(projectIdFor(url), profile);
+
+// One crawl per requested device. An explicit project is used as is for a
+// single device; with several, each device gets its own "-<name>" project.
+export const planDeviceCrawls = (url, project, device) => {
+  const devices = Array.isArray(device) ? device : [device ?? DEFAULT_DEVICE];
+  if (devices.length === 0) throw new Error("device list is empty");
+  const profiles = devices.map(resolveDeviceProfile);
+  const names = new Set(profiles.map((profile) => profile.name));
+  if (names.size !== profiles.length) {
+    throw new Error("Every device in the list needs a different name");
+  }
+
+  if (profiles.length === 1) {
+    return [{ profile: profiles[0], project: projectForDevice(url, project, profiles[0]) }];
+  }
+  const baseId = project || projectIdFor(url);
+  return profiles.map((profile) => ({ profile, project: deviceProjectId(baseId, profile) }));
+};
+
+export const applyDeviceProfile = async (page, profile) => {
+  const { width, height, deviceScaleFactor, isMobile, hasTouch, userAgent } = profile;
+  await page.setViewport({ width, height, deviceScaleFactor, isMobile, hasTouch });
+  if (userAgent) await page.setUserAgent(userAgent);
+};
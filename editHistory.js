@@ -0,0 +1,30 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Edit history: before an HTML edit is written, the file's previous version is
+// copied under .history/ and the edit is logged in .history/edits.json. Dot
+// folders are not served by the preview server.
+
+export const HISTORY_DIR = ".history";
+const LOG_FILE = "edits.json";
+
+export const readEditHistory = async (baseDir) => {
+  try {
+    return JSON.parse(await fs.readFile(path.join(baseDir, HISTORY_DIR, LOG_FILE), "utf-8"));
+  } catch {
+    return [];
+  }
+};
+
+// details describes the edit, e.g. { type: "simple", oldText, newText }.
+export const recordEdit = async (baseDir, file, previousContent, details) => {
+  const at = new Date().toISOString();
+  const snapshot = `${HISTORY_DIR}/${at.replace(/[:.]/g, "-")}/${file}`;
+  await fs.mkdir(path.dirname(path.join(baseDir, snapshot)), { recursive: true });
+  await fs.writeFile(path.join(baseDir, snapshot), previousContent);
+
+  const edits = await readEditHistory(baseDir);
+  edits.push({ file, at, snapshot, ...details });
+  await fs.writeFile(path.join(baseDir, HISTORY_DIR, LOG_FILE), JSON.stringify(edits, null, 2));
+  console.log(`🕘 Recorded edit of ${file} in ${HISTORY_DIR}`);
+};
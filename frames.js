@@ -0,0 +1,78 @@
+// Same-origin iframes are captured like the page around them and saved next
+// to it, e.g. "docs/intro.html" -> "docs/intro.frame-1.html", with the <iframe>
+// pointed at the copy. Cross-origin frames keep their live URL.
+
+// Frames inside frames inside frames... stop somewhere
+export const MAX_FRAME_DEPTH = 3;
+
+export const frameFileFor = (documentFile, index) =>
+  documentFile.replace(/\.html$/, `.frame-${index}.html`);
+
+// The child frames of frame loaded over http(s) from its own origin. Frames
+// written by script (about:blank, srcdoc) are left to their markup.
+export const sameOriginFrames = (frame) => {
+  let origin;
+  try {
+    origin = new URL(frame.url()).origin;
+  } catch {
+    return [];
+  }
+  return frame.childFrames().filter((child) => {
+    if (child.isDetached()) return false;
+    try {
+      const { protocol, origin: childOrigin } = new URL(child.url());
+      return /^https?:$/.test(protocol) && childOrigin === origin;
+    } catch {
+      return false;
+    }
+  });
+};
+
+// Marks the <iframe> showing child, found through its window, which the parent
+// document can reach because they share an origin, with the src it should get.
+// The live frame keeps its document; swapFrameSources puts the src in place
+// once the parent has been serialized.
+const FRAME_SRC_ATTRIBUTE = "data-domorph-src";
+
+export const pointFrameAt = async (child, src) => {
+  const marker = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  await child.evaluate((marker) => {
+    window.__domorphFrame = marker;
+  }, marker);
+  return child.parentFrame().$$eval(
+    "pierce/iframe, frame",
+    (elements, marker, attribute, src) => {
+      const element = elements.find((el) => {
+        try {
+          return el.contentWindow?.__domorphFrame === marker;
+        } catch {
+          return false;
+        }
+      });
+      if (!element) return false;
+      element.setAttribute(attribute, src);
+      return true;
+    },
+    marker,
+    FRAME_SRC_ATTRIBUTE,
+    src
+  );
+};
+
+// Serialized attribute values are always double-quoted and never contain a
+// raw quote, though they may contain ">" (srcdoc does).
+const FRAME_TAG = /<(iframe|frame)((?:\s+[^\s"'>\/=]+(?:="[^"]*")?)*)(\s*\/?)>/gi;
+const ATTRIBUTE = /\s+([^\s"'>\/=]+)(?:="([^"]*)")?/g;
+
+// Gives every frame marked by pointFrameAt in html its new src, dropping the
+// old src and any srcdoc.
+export const swapFrameSources = (html) =>
+  html.replace(FRAME_TAG, (tag, name, attributes, end) => {
+    let src = null;
+    const kept = attributes.replace(ATTRIBUTE, (attribute, attributeName, value) => {
+      const lower = attributeName.toLowerCase();
+      if (lower === FRAME_SRC_ATTRIBUTE) src = value ?? "";
+      return ["src", "srcdoc", FRAME_SRC_ATTRIBUTE].includes(lower) ? "" : attribute;
+    });
+    return src === null ? tag : `<${name} src="${src}"${kept}${end}>`;
+  });
@@ -0,0 +1,97 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Persists the crawl frontier (visited pages, pending queue, per-URL status)
+// next to the captured pages so an interrupted crawl can be resumed.
+
+export const FRONTIER_FILE = "crawl-state.json";
+
+export const loadFrontier = async (baseDir) => {
+  try {
+    return JSON.parse(await fs.readFile(path.join(baseDir, FRONTIER_FILE), "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new Error(`Unreadable ${FRONTIER_FILE}: ${err.message}`);
+  }
+};
+
+// Written to a temp file and renamed, so a crash mid-write never leaves a
+// truncated state file behind.
+export const saveFrontier = async (baseDir, crawl, { options, status }) => {
+  const state = {
+    startUrl: crawl.startUrl,
+    options: options || {},
+    status,
+    updatedAt: new Date().toISOString(),
+    queue: crawl.queue,
+    pages: Object.fromEntries(
+      Array.from(crawl.pageStatus, ([url, pageStatus]) => [
+        url,
+        { status: pageStatus, depth: crawl.depths.get(url) ?? null },
+      ])
+    ),
+    skipped: Object.fromEntries(crawl.skipped),
+    limitsHit: Array.from(crawl.limitsHit),
+    lastmod: Object.fromEntries(crawl.lastmod),
+  };
+
+  const filePath = path.join(baseDir, FRONTIER_FILE);
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(state, null, 2));
+  await fs.rename(tempPath, filePath);
+};
+
+// Completed pages count as visited; pages that were queued, still loading or
+// failed when the crawl stopped go back on the queue.
+export const restoreFrontier = (crawl, saved) => {
+  crawl.queue.length = 0;
+  const requeue = new Set(saved.queue);
+  let done = 0;
+
+  for (const [url, page] of Object.entries(saved.pages)) {
+    if (page.depth !== null) crawl.depths.set(url, page.depth);
+    if (page.status === "done") {
+      crawl.visited.add(url);
+      crawl.pageStatus.set(url, "done");
+      done++;
+    } else {
+      requeue.add(url);
+    }
+  }
+
+  for (const url of requeue) {
+    crawl.queue.push(url);
+    crawl.pageStatus.set(url, "queued");
+    if (!crawl.depths.has(url)) crawl.depths.set(url, 0);
+  }
+  for (const [url, reason] of Object.entries(saved.skipped || {})) {
+    crawl.skipped.set(url, reason);
+  }
+  for (const limit of saved.limitsHit || []) crawl.limitsHit.add(limit);
+  for (const [url, date] of Object.entries(saved.lastmod || {})) {
+    crawl.lastmod.set(url, date);
+  }
+
+  crawl.progress.done = done;
+  crawl.progress.queued = crawl.queue.length;
+  console.log(`♻️ Resuming crawl: ${done} pages already done, ${crawl.queue.length} queued`);
+  return { done, requeued: crawl.queue.length };
+};
+
+// Loads the saved frontier when options.resume is set and it belongs to the
+// same start URL. Saved options fill in whatever the caller left out.
+export const prepareResume = async (baseDir, startUrl, options) => {
+  const requested = options || {};
+  if (!requested.resume) return { options: requested, saved: null };
+
+  const saved = await loadFrontier(baseDir);
+  if (!saved) {
+    console.warn(`♻️ No ${FRONTIER_FILE} in ${baseDir}, starting a fresh crawl`);
+    return { options: requested, saved: null };
+  }
+  if (saved.startUrl !== startUrl) {
+    console.warn(`♻️ Saved crawl is for ${saved.startUrl}, starting a fresh crawl of ${startUrl}`);
+    return { options: requested, saved: null };
+  }
+  return { options: { ...saved.options, ...requested }, saved };
+};
@@ -3,6 +3,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import agentRoutes from './route.js';
 import searchRoutes from './search.js';
+import { startPreviewServer } from './projects.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -30,6 +31,9 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', message: 'Server is running' });
 });
 
+// The scraped websites are served on their own port, see projects.js
+startPreviewServer();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
@@ -38,4 +42,15 @@ app.listen(PORT, () => {
   console.log(`  - POST /api/agent/chat - Send a message to the agent`);
   console.log(`  - POST /api/agent/clear - Clear a user's conversation thread`);
   console.log(`  - GET /api/agent/debug/threads - Debug information about active threads`);
+  console.log(`  - POST /api/agent/webScrape - Start a crawl job`);
+  console.log(`  - GET /api/agent/search?q= - Full-text search over a project's pages`);
+  console.log(`  - GET /api/agent/jobs/:id - Crawl job progress and result`);
+  console.log(`  - POST /api/agent/jobs/:id/cancel - Cancel a crawl job`);
+  console.log(`  - GET /api/agent/projects - List scraped website projects`);
+  console.log(`  - GET /api/agent/projects/:id/site-map - Page screenshots and thumbnails`);
+  console.log(`  - GET /api/agent/projects/:id/report - The last crawl's report`);
+  console.log(`  - GET /api/agent/projects/:id/pages?q= - Page titles, headings and links`);
+  console.log(`  - GET /api/agent/projects/:id/export - Download a project as a ZIP`);
+  console.log(`  - GET /api/agent/projects/:id/single-file?file= - Download one page as a single HTML file`);
+  console.log(`  - DELETE /api/agent/projects/:id - Delete a project`);
 });
\ No newline at end of file
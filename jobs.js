@@ -0,0 +1,123 @@
+import { randomUUID } from "crypto";
+
+// In-memory job registry for long-running crawls (would use a database in production)
+const jobs = new Map();
+
+const FINISHED_STATUSES = new Set(["completed", "failed", "cancelled"]);
+
+export const isFinished = (job) => FINISHED_STATUSES.has(job.status);
+
+// Finished jobs stay around long enough for clients to collect their results,
+// then they are dropped: after an hour, or sooner when too many pile up.
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+const MAX_FINISHED_JOBS = 100;
+
+const evictFinishedJobs = () => {
+  const finished = Array.from(jobs.values()).filter(isFinished);
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id);
+  }
+};
+
+// Runs task(job) in the background and returns the job immediately. The task
+// reads job.signal to notice cancellation and may share job.progress.
+export const startJob = (kind, input, task) => {
+  const controller = new AbortController();
+  const job = {
+    id: randomUUID(),
+    kind,
+    input,
+    status: "running",
+    progress: { done: 0, failed: 0, active: 0, queued: 0, currentUrl: null },
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    controller,
+    signal: controller.signal,
+  };
+  jobs.set(job.id, job);
+
+  job.promise = Promise.resolve()
+    .then(() => task(job))
+    .then((result) => {
+      job.result = result;
+      job.status = job.signal.aborted ? "cancelled" : "completed";
+    })
+    .catch((err) => {
+      console.error(`❌ Job ${job.id} failed:`, err);
+      job.error = err.message;
+      job.status = job.signal.aborted ? "cancelled" : "failed";
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+      console.log(`🏁 Job ${job.id} ${job.status}`);
+      setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL_MS).unref();
+      evictFinishedJobs();
+    });
+
+  console.log(`🚀 Started ${kind} job ${job.id}`);
+  return job;
+};
+
+export const getJob = (id) => jobs.get(id) || null;
+
+export const listJobs = () => Array.from(jobs.values());
+
+// The unfinished job working on the given project, if any.
+export const activeJobFor = (project) =>
+  listJobs().find((job) => !isFinished(job) && job.input?.project === project) || null;
+
+export const cancelJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (!isFinished(job) && !job.signal.aborted) {
+    console.log(`🛑 Cancelling job ${job.id}`);
+    job.status = "cancelling";
+    job.controller.abort();
+  }
+  return job;
+};
+
+// Resolves once the job finishes or timeoutMs passes, whichever comes first.
+export const waitForJob = async (job, timeoutMs) => {
+  let timer;
+  await Promise.race([
+    job.promise,
+    new Promise((resolve) => {
+      timer = setTimeout(resolve, timeoutMs);
+    }),
+  ]);
+  clearTimeout(timer);
+  return job;
+};
+
+const progressMessage = (job) => {
+  const { done, failed, active, queued } = job.progress;
+  const total = done + failed + active + queued;
+  switch (job.status) {
+    case "running":
+      return `Crawl still running, ${done}/${total} pages`;
+    case "cancelling":
+      return `Crawl is being cancelled, ${done}/${total} pages captured`;
+    case "completed":
+      return job.result?.message || `Crawl finished, ${done} pages`;
+    case "cancelled":
+      return `Crawl cancelled after ${done} pages`;
+    default:
+      return `Crawl failed: ${job.error}`;
+  }
+};
+
+export const describeJob = (job) => ({
+  id: job.id,
+  kind: job.kind,
+  status: job.status,
+  message: progressMessage(job),
+  input: job.input,
+  progress: job.progress,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt,
+});
@@ -0,0 +1,79 @@
+import path from "path";
+import { createHash } from "crypto";
+
+// How captured pages refer to each other and to their assets. By default every
+// link is relative to the page that contains it, so a project folder works
+// under any host, port or sub-path, or straight from disk. With publicBaseUrl
+// set, links are absolute URLs under that base instead.
+
+// A path ("/sites/example") or an http(s) URL, without the trailing slash.
+export const resolvePublicBaseUrl = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string") {
+    throw new Error("publicBaseUrl must be a string");
+  }
+  if (value.startsWith("/") && !value.startsWith("//")) {
+    return value.replace(/\/+$/, "");
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`publicBaseUrl must be a path starting with "/" or an http(s) URL: ${value}`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`publicBaseUrl must be a path starting with "/" or an http(s) URL: ${value}`);
+  }
+  return url.href.replace(/\/+$/, "");
+};
+
+// Query strings and hash routes become a readable slug plus a short hash of
+// the exact variant, so every variant gets its own stable file name.
+const variantSuffix = (variant) => {
+  const slug = variant
+    .replace(/^[?#!/]+/, "")
+    .replace(/[^a-zA-Z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  const hash = createHash("sha1").update(variant).digest("hex").slice(0, 8);
+  return `__${slug ? `${slug}-` : ""}${hash}`;
+};
+
+// Pages and assets from hosts other than the start URL's go in a folder per
+// host, e.g. "blog.site.com" or "localhost_8080".
+export const hostFolder = (url) => {
+  const { hostname, port } = new URL(url);
+  return `${hostname}${port ? `_${port}` : ""}`;
+};
+
+// Where a page is saved inside the project, e.g. "https://site.com/docs/" -> "docs.html"
+// and "https://site.com/list?page=2" -> "list__page-2-<hash>.html". Takes a
+// normalized URL, so the only fragment left is a hash route. Pages outside
+// homeOrigin go under "_hosts/<host>/".
+export const pageFileFor = (url, homeOrigin = null) => {
+  const { origin, pathname, search, hash } = new URL(url);
+  const base = (pathname.replace(/\/$/, "") || "/index").slice(1);
+  const variant = `${search}${hash}`;
+  const folder = homeOrigin && origin !== homeOrigin ? `_hosts/${hostFolder(url)}/` : "";
+  return `${folder}${base}${variant ? variantSuffix(variant) : ""}.html`;
+};
+
+// Project-relative paths always use "/", whatever the platform.
+export const toProjectPath = (baseDir, filePath) =>
+  path.relative(baseDir, filePath).split(path.sep).join("/");
+
+export const createOutputUrls = (options = {}, startUrl = null) => {
+  const publicBaseUrl = resolvePublicBaseUrl(options.publicBaseUrl);
+  const homeOrigin = startUrl ? new URL(startUrl).origin : null;
+
+  const pageFile = (url) => pageFileFor(url, homeOrigin);
+
+  // The URL a page saved at fromFile uses to reach toFile (both project-relative).
+  const href = (fromFile, toFile) => {
+    if (publicBaseUrl) return `${publicBaseUrl}/${toFile}`;
+    const relative = path.posix.relative(path.posix.dirname(fromFile), toFile);
+    return relative.startsWith("../") ? relative : `./${relative}`;
+  };
+
+  return { publicBaseUrl, pageFile, href };
+};
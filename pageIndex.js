@@ -0,0 +1,100 @@
+import fs from "fs/promises";
+import path from "path";
+
+// pages.json: an overview of every captured page (title, meta description,
+// Open Graph tags, canonical URL, H1-H3 outline, outgoing links and word
+// count), so pages can be found without reading their HTML. Pages from
+// earlier crawls stay listed until they are captured again.
+
+export const PAGE_INDEX_FILE = "pages.json";
+
+// Runs in the page, before links and assets are rewritten, so links keep
+// their original URLs.
+export const extractPageMetadata = (page) =>
+  page.evaluate(() => {
+    const clean = (text) => (text || "").replace(/\s+/g, " ").trim();
+    const meta = (selector) => clean(document.querySelector(selector)?.getAttribute("content")) || null;
+
+    const openGraph = {};
+    document.querySelectorAll("meta[property^='og:']").forEach((tag) => {
+      const property = tag.getAttribute("property").slice(3);
+      if (!(property in openGraph)) openGraph[property] = clean(tag.getAttribute("content"));
+    });
+
+    const links = new Map();
+    document.querySelectorAll("a[href]").forEach((anchor) => {
+      if (!/^https?:/.test(anchor.href) || links.has(anchor.href)) return;
+      links.set(anchor.href, clean(anchor.textContent) || clean(anchor.getAttribute("aria-label")));
+    });
+
+    return {
+      title: clean(document.title),
+      description: meta("meta[name='description']"),
+      openGraph,
+      canonical: document.querySelector("link[rel='canonical']")?.href || null,
+      headings: Array.from(document.querySelectorAll("h1, h2, h3"))
+        .map((heading) => ({ level: Number(heading.tagName[1]), text: clean(heading.textContent) }))
+        .filter((heading) => heading.text),
+      links: Array.from(links, ([url, text]) => ({ url, text })),
+      wordCount: (document.body?.innerText.match(/\S+/g) || []).length,
+    };
+  });
+
+// The saved pages.json, or null before the first crawl that wrote one.
+export const readPageIndex = async (baseDir) => {
+  try {
+    return JSON.parse(await fs.readFile(path.join(baseDir, PAGE_INDEX_FILE), "utf-8"));
+  } catch {
+    return null;
+  }
+};
+
+// isInternal(url) tells links within the crawl from links leaving it.
+export const createPageIndex = async (baseDir, isInternal) => {
+  const saved = await readPageIndex(baseDir);
+  const pages = Object.fromEntries((saved?.pages || []).map((page) => [page.url, page]));
+
+  const record = (url, file, metadata) => {
+    pages[url] = {
+      url,
+      file,
+      ...metadata,
+      links: metadata.links.map((link) => ({ ...link, internal: isInternal(link.url) })),
+      indexedAt: new Date().toISOString(),
+    };
+  };
+
+  const save = async () => {
+    const list = Object.values(pages).sort((a, b) => a.file.localeCompare(b.file));
+    if (!list.length) return;
+    const filePath = path.join(baseDir, PAGE_INDEX_FILE);
+    await fs.writeFile(
+      `${filePath}.tmp`,
+      JSON.stringify({ updatedAt: new Date().toISOString(), pages: list }, null, 2)
+    );
+    await fs.rename(`${filePath}.tmp`, filePath);
+  };
+
+  return { record, save };
+};
+
+// Compact entries for listings: no links or Open Graph tags. A query keeps the
+// pages whose URL, file, title, description or headings contain every word.
+export const findPages = (index, query = "") => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return (index?.pages || [])
+    .filter((page) => {
+      const text = [page.url, page.file, page.title, page.description, ...page.headings.map((h) => h.text)]
+        .join(" ")
+        .toLowerCase();
+      return words.every((word) => text.includes(word));
+    })
+    .map(({ url, file, title, description, headings, wordCount }) => ({
+      url,
+      file,
+      title,
+      description,
+      headings: headings.map((heading) => `${"#".repeat(heading.level)} ${heading.text}`),
+      wordCount,
+    }));
+};
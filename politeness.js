@@ -0,0 +1,258 @@
+import fetch from "node-fetch";
+
+// Politeness layer: robots.txt rules, a minimum interval between requests to
+// the same host, and retries with exponential backoff for transient failures.
+
+const ROBOTS_USER_AGENT = "domorph-agent";
+const DEFAULT_DELAY_MS = 250;
+const DEFAULT_RETRIES = 3;
+const BACKOFF_BASE_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+const toNonNegativeNumber = (value, fallback, name) => {
+  if (value === undefined || value === null) return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+  return number;
+};
+
+const toNonNegativeInteger = (value, fallback, name) => {
+  if (value === undefined || value === null) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return number;
+};
+
+// Retry-After is either a number of seconds or an HTTP date.
+const retryAfterMs = (header) => {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const ruleToRegExp = (rulePath) => {
+  const anchored = rulePath.endsWith("$");
+  const body = anchored ? rulePath.slice(0, -1) : rulePath;
+  const source = body
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}${anchored ? "$" : ""}`);
+};
+
+export const parseRobotsTxt = (text) => {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === "user-agent") {
+      // Consecutive User-agent lines share one group.
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (field === "sitemap") {
+      if (value) sitemaps.push(value);
+    } else if (!current) {
+      continue;
+    } else if (field === "allow" || field === "disallow") {
+      // An empty Disallow allows everything, so it adds no rule.
+      if (value) {
+        current.rules.push({
+          allow: field === "allow",
+          length: value.length,
+          pattern: ruleToRegExp(value),
+        });
+      }
+    } else if (field === "crawl-delay") {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+};
+
+const selectGroup = (robots, userAgent) => {
+  const token = userAgent.toLowerCase();
+  const named = robots.groups.find((group) =>
+    group.agents.some((agent) => agent !== "*" && token.includes(agent))
+  );
+  return named || robots.groups.find((group) => group.agents.includes("*")) || null;
+};
+
+// The longest matching rule wins; Allow wins a tie.
+export const isAllowedByRobots = (robots, url, userAgent = ROBOTS_USER_AGENT) => {
+  if (robots.disallowAll) return false;
+  const group = selectGroup(robots, userAgent);
+  if (!group) return true;
+
+  const { pathname, search } = new URL(url);
+  const target = `${pathname}${search}`;
+  let best = null;
+  for (const rule of group.rules) {
+    if (!rule.pattern.test(target)) continue;
+    if (
+      !best ||
+      rule.length > best.length ||
+      (rule.length === best.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+};
+
+export const resolvePolitenessOptions = (options = {}) => ({
+  ignoreRobots: Boolean(options.ignoreRobots),
+  delayMs: toNonNegativeNumber(options.delayMs, DEFAULT_DELAY_MS, "delayMs"),
+  retries: toNonNegativeInteger(options.retries, DEFAULT_RETRIES, "retries"),
+  userAgent: options.robotsUserAgent || ROBOTS_USER_AGENT,
+});
+
+// Requests carry the crawl session's headers and cookies, when there is one,
+// and are archived by the crawl's WARC writer when it has one. Once signal is
+// aborted nothing waits or retries any more, and requests in flight are dropped.
+export const createPoliteness = (options = {}, session = null, warc = null, signal = null) => {
+  const { ignoreRobots, delayMs, retries, userAgent } =
+    resolvePolitenessOptions(options);
+  const robotsByOrigin = new Map();
+  const nextSlotByHost = new Map();
+
+  // Waits ms, or less when the crawl is cancelled meanwhile
+  const pause = (ms) =>
+    new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      signal?.addEventListener("abort", done, { once: true });
+    });
+
+  const stopIfCancelled = () => {
+    if (signal?.aborted) throw new Error("Crawl cancelled");
+  };
+
+  const backoff = (attempt, retryAfter) =>
+    Math.min(MAX_BACKOFF_MS, retryAfter ?? BACKOFF_BASE_MS * 2 ** attempt);
+
+  // Reserves the next free slot for the host, so concurrent callers queue up
+  // instead of all waiting for the same moment.
+  const waitForHost = async (url) => {
+    const { host, origin } = new URL(url);
+    const robots = robotsByOrigin.get(origin);
+    const crawlDelayMs =
+      !ignoreRobots && robots && !(robots instanceof Promise)
+        ? (selectGroup(robots, userAgent)?.crawlDelay || 0) * 1000
+        : 0;
+    const interval = Math.max(delayMs, crawlDelayMs);
+
+    const now = Date.now();
+    const slot = Math.max(now, nextSlotByHost.get(host) || 0);
+    nextSlotByHost.set(host, slot + interval);
+    if (slot > now) await pause(slot - now);
+    stopIfCancelled();
+  };
+
+  // Throttled, retrying drop-in for node-fetch.
+  const politeFetch = async (url, init = {}) => {
+    const headers = { ...session?.requestHeaders(url), ...init.headers };
+    for (let attempt = 0; ; attempt++) {
+      await waitForHost(url);
+      try {
+        const response = await fetch(url, { signal, ...init, headers });
+        if (!isRetryableStatus(response.status) || attempt >= retries) {
+          return warc ? warc.recordFetch(url, headers, response) : response;
+        }
+        const wait = backoff(attempt, retryAfterMs(response.headers.get("retry-after")));
+        console.warn(`⏳ ${response.status} from ${url}, retrying in ${wait}ms`);
+        await pause(wait);
+      } catch (err) {
+        if (attempt >= retries || signal?.aborted) throw err;
+        const wait = backoff(attempt);
+        console.warn(`⏳ Request to ${url} failed (${err.message}), retrying in ${wait}ms`);
+        await pause(wait);
+      }
+    }
+  };
+
+  // Missing robots.txt (4xx) allows everything; an unreachable one (5xx or
+  // network error) disallows everything, as RFC 9309 recommends.
+  const loadRobots = async (origin) => {
+    try {
+      const response = await politeFetch(`${origin}/robots.txt`);
+      if (response.ok) return parseRobotsTxt(await response.text());
+      if (response.status < 500) return { groups: [], sitemaps: [] };
+      console.warn(`🤖 robots.txt for ${origin} returned ${response.status}, treating site as disallowed`);
+    } catch (err) {
+      console.warn(`🤖 robots.txt for ${origin} unreachable (${err.message}), treating site as disallowed`);
+    }
+    return { groups: [], sitemaps: [], disallowAll: true };
+  };
+
+  const getRobots = async (url) => {
+    const { origin } = new URL(url);
+    if (!robotsByOrigin.has(origin)) {
+      const pending = loadRobots(origin).then((robots) => {
+        robotsByOrigin.set(origin, robots);
+        return robots;
+      });
+      robotsByOrigin.set(origin, pending);
+    }
+    return robotsByOrigin.get(origin);
+  };
+
+  const isAllowed = async (url) => {
+    if (ignoreRobots) return true;
+    return isAllowedByRobots(await getRobots(url), url, userAgent);
+  };
+
+  // page.goto with the same host throttling and retry policy as politeFetch.
+  const navigate = async (page, url, gotoOptions) => {
+    if (!ignoreRobots) await getRobots(url);
+    for (let attempt = 0; ; attempt++) {
+      await waitForHost(url);
+      try {
+        const response = await page.goto(url, gotoOptions);
+        const status = response?.status();
+        if (!status || !isRetryableStatus(status) || attempt >= retries) {
+          return response;
+        }
+        const wait = backoff(attempt, retryAfterMs(response.headers()["retry-after"]));
+        console.warn(`⏳ ${status} from ${url}, retrying in ${wait}ms`);
+        await pause(wait);
+      } catch (err) {
+        if (attempt >= retries || signal?.aborted) throw err;
+        const wait = backoff(attempt);
+        console.warn(`⏳ Loading ${url} failed (${err.message}), retrying in ${wait}ms`);
+        await pause(wait);
+      }
+    }
+  };
+
+  return { fetch: politeFetch, navigate, isAllowed, getRobots };
+};
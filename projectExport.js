@@ -0,0 +1,214 @@
+import fs from "fs/promises";
+import path from "path";
+import archiver from "archiver";
+import { HISTORY_DIR } from "./editHistory.js";
+import { WARC_DIR } from "./warcArchive.js";
+import { readAssetManifest, contentTypeFor } from "./assetStore.js";
+import { URL_PATTERN, isLocalReference, replaceAsync } from "./cssAssets.js";
+
+// Project exports. The ZIP puts everything under a "<project>/" folder, and
+// pages captured with a publicBaseUrl get relative links again, so the archive
+// works wherever it is unzipped. The single-file export turns one page into a
+// standalone HTML file with its assets inlined as data URIs.
+
+const API_URL = `http://localhost:${process.env.PORT || 3000}/api/agent`;
+
+// Crawler bookkeeping that means nothing outside this server
+const INTERNAL_FILES = new Set(["crawl-state.json", "validators.json"]);
+
+const walk = async (dir, base = "") => {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const relativePath = base ? `${base}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await walk(path.join(dir, entry.name), relativePath)));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+};
+
+export const listExportFiles = async (
+  project,
+  { pagesOnly = false, includeHistory = false, includeWarc = false } = {}
+) => {
+  const files = await walk(project.dir);
+  return files.filter((file) => {
+    if (file.startsWith(`${HISTORY_DIR}/`)) return includeHistory;
+    if (file.startsWith(`${WARC_DIR}/`)) return includeWarc;
+    if (file.endsWith(".tmp") || INTERNAL_FILES.has(file)) return false;
+    return pagesOnly ? file.endsWith(".html") : true;
+  });
+};
+
+// "https://cdn.example.com/site/assets/a.png" -> "../assets/a.png" in docs/page.html
+const relativizePage = (html, file, publicBaseUrl) => {
+  const depth = file.split("/").length - 1;
+  const prefix = depth > 0 ? "../".repeat(depth) : "./";
+  return html.split(`${publicBaseUrl}/`).join(prefix);
+};
+
+// Resolves to the archiver stream once every file is queued; pipe it somewhere,
+// it finishes on its own.
+export const createProjectZip = async (project, options = {}) => {
+  const files = await listExportFiles(project, options);
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("warning", (err) => console.warn(`⚠️ Export of ${project.id}: ${err.message}`));
+
+  for (const file of files) {
+    const name = `${project.id}/${file}`;
+    const fullPath = path.join(project.dir, file);
+    const isCapturedPage = file.endsWith(".html") && !file.startsWith(`${HISTORY_DIR}/`);
+    if (project.publicBaseUrl && isCapturedPage) {
+      const html = await fs.readFile(fullPath, "utf-8");
+      archive.append(relativizePage(html, file, project.publicBaseUrl), { name });
+    } else {
+      archive.file(fullPath, { name });
+    }
+  }
+  // Errors reach the "error" listeners; the promise would only go unhandled
+  archive.finalize().catch(() => {});
+  console.log(`📦 Exporting ${project.id}: ${files.length} files`);
+  return archive;
+};
+
+// Where GET /projects/:id/export serves the ZIP for these options
+export const projectExportUrl = (
+  id,
+  { pagesOnly = false, includeHistory = false, includeWarc = false } = {}
+) => {
+  const query = new URLSearchParams();
+  if (pagesOnly) query.set("pagesOnly", "true");
+  if (includeHistory) query.set("history", "true");
+  if (includeWarc) query.set("warc", "true");
+  const search = query.toString();
+  return `${API_URL}/projects/${id}/export${search ? `?${search}` : ""}`;
+};
+
+// Pages may only be read from inside the project folder
+export const resolvePageFile = (file) => {
+  const normalized = path.posix.normalize(String(file || "").replace(/\\/g, "/")).replace(/^\/+/, "");
+  if (!normalized.endsWith(".html") || normalized.startsWith("../") || normalized === "..") {
+    throw new Error(`Not a page of the project: ${file}`);
+  }
+  return normalized;
+};
+
+// The project-relative file a reference in pageFile points at, or null for
+// anything that is not one of the project's own files.
+const projectFileFor = (ref, pageFile, publicBaseUrl) => {
+  const value = ref.trim().replace(/&amp;/g, "&").split(/[?#]/)[0];
+  if (!value || isLocalReference(value)) return null;
+  let file;
+  if (publicBaseUrl && value.startsWith(`${publicBaseUrl}/`)) {
+    file = path.posix.normalize(value.slice(publicBaseUrl.length + 1));
+  } else if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(value)) {
+    return null;
+  } else {
+    file = path.posix.normalize(path.posix.join(path.posix.dirname(pageFile), value));
+  }
+  // Nothing outside the project folder
+  return file === ".." || file.startsWith("../") || path.posix.isAbsolute(file) ? null : file;
+};
+
+const SCRIPT_PATTERN = /<script\b([^>]*?)\ssrc=(["'])(.*?)\2([^>]*)>\s*<\/script>/gi;
+const STYLESHEET_PATTERN = /<link\b[^>]*\brel=(["'])stylesheet\1[^>]*>/gi;
+const ATTRIBUTE_PATTERN = /(\s(?:src|poster|href))=(["'])(.*?)\2/gi;
+const SRCSET_PATTERN = /(\ssrcset)=(["'])(.*?)\2/gi;
+const STYLE_BLOCK_PATTERN = /(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi;
+const STYLE_ATTRIBUTE_PATTERN = /(\sstyle=)(["'])(.*?)\2/gi;
+// Tags whose src/href are assets; page links (<a href>) are left alone
+const ASSET_TAG_PATTERN = /<(img|source|video|audio|track|input|embed|link|image)\b[^>]*>/gi;
+
+export const createSingleFilePage = async (project, file) => {
+  const pageFile = resolvePageFile(file);
+  const html = await fs.readFile(path.join(project.dir, pageFile), "utf-8");
+  const manifest = await readAssetManifest(project.dir);
+  const types = Object.fromEntries(
+    Object.values(manifest).map((entry) => [entry.file, entry.contentType])
+  );
+  const stats = { inlined: 0, missing: [] };
+
+  const readProjectFile = async (ref, fromFile = pageFile) => {
+    const projectFile = projectFileFor(ref, fromFile, project.publicBaseUrl);
+    if (!projectFile) return null;
+    try {
+      const content = await fs.readFile(path.join(project.dir, projectFile));
+      stats.inlined++;
+      return { projectFile, content };
+    } catch {
+      stats.missing.push(projectFile);
+      return null;
+    }
+  };
+
+  // Other pages (canonical and alternate links) are not assets
+  const dataUri = async (ref, fromFile = pageFile) => {
+    if (projectFileFor(ref, fromFile, project.publicBaseUrl)?.endsWith(".html")) {
+      return null;
+    }
+    const found = await readProjectFile(ref, fromFile);
+    if (!found) return null;
+    const type = types[found.projectFile] || contentTypeFor(found.projectFile);
+    return `data:${type};base64,${found.content.toString("base64")}`;
+  };
+
+  const inlineCss = (css, fromFile) =>
+    replaceAsync(css, URL_PATTERN, async (match, quote, ref) => {
+      const uri = await dataUri(ref, fromFile);
+      return uri ? `url("${uri}")` : match;
+    });
+
+  // Kept scripts (script mode "keep") go inline; "</script" inside them is escaped
+  let result = await replaceAsync(html, SCRIPT_PATTERN, async (match, before, quote, ref, after) => {
+    const found = await readProjectFile(ref);
+    if (!found) return match;
+    const code = found.content.toString("utf-8").replace(/<\/script/gi, "<\\/script");
+    return `<script${before}${after}>${code}</script>`;
+  });
+
+  result = await replaceAsync(result, STYLESHEET_PATTERN, async (match) => {
+    const href = match.match(/\shref=(["'])(.*?)\1/i)?.[2];
+    const found = href ? await readProjectFile(href) : null;
+    if (!found) return match;
+    const css = await inlineCss(found.content.toString("utf-8"), found.projectFile);
+    return `<style>${css}</style>`;
+  });
+
+  result = await replaceAsync(result, STYLE_BLOCK_PATTERN, async (match, open, css, close) =>
+    `${open}${await inlineCss(css, pageFile)}${close}`
+  );
+
+  result = await replaceAsync(result, STYLE_ATTRIBUTE_PATTERN, async (match, name, quote, css) => {
+    const inlined = await inlineCss(css.replace(/&quot;/g, "'"), pageFile);
+    return `${name}${quote}${inlined.replace(/"/g, "'")}${quote}`;
+  });
+
+  result = await replaceAsync(result, ASSET_TAG_PATTERN, async (tag) => {
+    let inlinedTag = await replaceAsync(tag, ATTRIBUTE_PATTERN, async (match, name, quote, ref) => {
+      const uri = await dataUri(ref);
+      return uri ? `${name}=${quote}${uri}${quote}` : match;
+    });
+    inlinedTag = await replaceAsync(inlinedTag, SRCSET_PATTERN, async (match, name, quote, srcset) => {
+      const candidates = await Promise.all(
+        srcset.split(",").map(async (candidate) => {
+          const [ref, ...descriptor] = candidate.trim().split(/\s+/);
+          const uri = ref ? await dataUri(ref) : null;
+          return [uri || ref, ...descriptor].join(" ");
+        })
+      );
+      return `${name}=${quote}${candidates.join(", ")}${quote}`;
+    });
+    return inlinedTag;
+  });
+
+  console.log(
+    `📄 Single-file ${pageFile} of ${project.id}: ${stats.inlined} assets inlined, ${stats.missing.length} missing`
+  );
+  return { file: pageFile, html: result, inlined: stats.inlined, missing: [...new Set(stats.missing)] };
+};
+
+// Where GET /projects/:id/single-file serves a page as one HTML file
+export const singleFileUrl = (id, file) =>
+  `${API_URL}/projects/${id}/single-file?${new URLSearchParams({ file })}`;
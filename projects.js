@@ -0,0 +1,152 @@
+import fs from "fs/promises";
+import path from "path";
+import express from "express";
+import { WARC_DIR } from "./warcArchive.js";
+
+// Projects: one directory per captured site under PROJECTS_DIR, each with a
+// project.json holding its source URL, crawl dates and preview URL.
+
+export const PROJECTS_DIR =
+  process.env.PROJECTS_DIR || path.join(process.cwd(), "scraped_website");
+// URL path the preview server mounts PROJECTS_DIR on
+export const PROJECTS_URL_PATH = "/scraped_website";
+export const PREVIEW_PORT = 3030;
+
+const METADATA_FILE = "project.json";
+const PROJECT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+export const projectPublicPath = (id) => `${PROJECTS_URL_PATH}/${id}`;
+
+export const previewUrl = (id) =>
+  `http://localhost:${PREVIEW_PORT}${projectPublicPath(id)}/`;
+
+export const validateProjectId = (id) => {
+  if (typeof id !== "string" || !PROJECT_ID_PATTERN.test(id)) {
+    throw new Error(
+      `Invalid project "${id}". Use lowercase letters, digits, "-" and "_" (max 64 characters).`
+    );
+  }
+  return id;
+};
+
+// "https://www.Example.com/docs" -> "example-com"
+export const projectIdFor = (url) => {
+  const host = new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  return host.replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 64) || "site";
+};
+
+export const projectDir = (id) => path.join(PROJECTS_DIR, validateProjectId(id));
+
+const metadataPath = (id) => path.join(projectDir(id), METADATA_FILE);
+
+export const getProject = async (id) => {
+  try {
+    const metadata = JSON.parse(await fs.readFile(metadataPath(id), "utf-8"));
+    return { ...metadata, dir: projectDir(id) };
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+};
+
+export const updateProject = async (id, changes) => {
+  const current = (await getProject(id)) || {};
+  const { dir, ...metadata } = { ...current, ...changes, id };
+  await fs.writeFile(metadataPath(id), JSON.stringify(metadata, null, 2));
+  return { ...metadata, dir: projectDir(id) };
+};
+
+// Creates the project on first use; later crawls of it keep createdAt.
+export const openProject = async (id, sourceUrl) => {
+  await fs.mkdir(projectDir(id), { recursive: true });
+  const existing = await getProject(id);
+  return updateProject(id, {
+    sourceUrl,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    previewUrl: previewUrl(id),
+  });
+};
+
+export const listProjects = async () => {
+  let entries;
+  try {
+    entries = await fs.readdir(PROJECTS_DIR, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const projects = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !PROJECT_ID_PATTERN.test(entry.name)) continue;
+    const project = await getProject(entry.name);
+    if (project) projects.push(project);
+  }
+  return projects.sort((a, b) =>
+    (b.crawledAt || b.createdAt || "").localeCompare(a.crawledAt || a.createdAt || "")
+  );
+};
+
+// The named project, or the most recently crawled one when no id is given.
+export const resolveProject = async (id) => {
+  if (id) {
+    const project = await getProject(validateProjectId(id));
+    if (!project) throw new Error(`Project not found: ${id}`);
+    return project;
+  }
+  const [latest] = await listProjects();
+  if (!latest) throw new Error("No projects yet. Scrape a website first.");
+  return latest;
+};
+
+export const deleteProject = async (id) => {
+  const project = await getProject(validateProjectId(id));
+  if (!project) return false;
+  await fs.rm(project.dir, { recursive: true, force: true });
+  return true;
+};
+
+let previewServer = null;
+
+// Serves every project under PROJECTS_URL_PATH on PREVIEW_PORT, which is where
+// each project's previewUrl points. Files come straight from disk, so edits
+// show up without restarting the server. Started once, at boot.
+export const startPreviewServer = () => {
+  if (previewServer) return previewServer;
+
+  const app = express();
+  // WARC files hold every response of a crawl, authenticated ones included,
+  // so they are only handed out through the export
+  app.use(PROJECTS_URL_PATH, (req, res, next) => {
+    let segments;
+    try {
+      segments = path.posix.normalize(decodeURIComponent(req.path)).split("/");
+    } catch {
+      return res.sendStatus(400);
+    }
+    if (segments[2] === WARC_DIR) return res.sendStatus(404);
+    next();
+  });
+  app.use(PROJECTS_URL_PATH, express.static(PROJECTS_DIR));
+
+  // Redirect to the most recently crawled project
+  app.get("/", async (req, res) => {
+    const [latest] = await listProjects().catch(() => []);
+    res.redirect(latest ? `${projectPublicPath(latest.id)}/index.html` : `${PROJECTS_URL_PATH}/`);
+  });
+
+  previewServer = app.listen(PREVIEW_PORT, () => {
+    console.log(`Scraped websites running at http://localhost:${PREVIEW_PORT}${PROJECTS_URL_PATH}/`);
+  });
+
+  // Close it with the process, including on Ctrl+C and SIGTERM
+  const close = () => previewServer?.close();
+  process.on("exit", close);
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      close();
+      process.exit(0);
+    });
+  }
+  return previewServer;
+};
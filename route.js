@@ -66,7 +66,7 @@ router.post('/chat', async (req, res) => {
         try {
           // Directly handle the simple HTML update command
           console.log("🔧 Executing simple HTML update directly, bypassing agent");
-          const result = await updateHtml(htmlUpdate.file, htmlUpdate.oldText, htmlUpdate.newText);
+          const result = await updateHtml(htmlUpdate.file, htmlUpdate.oldText, htmlUpdate.newText, req.body.project);
           
           // Create an AI message with the result and add to conversation
           const updateMessage = new HumanMessage(message);
@@ -97,7 +97,7 @@ router.post('/chat', async (req, res) => {
         try {
           // Directly handle the intelligent HTML update command
           console.log("🧠 Executing intelligent HTML update directly, bypassing agent");
-          const result = await intelligentHtmlUpdate(htmlUpdate.file, htmlUpdate.instruction);
+          const result = await intelligentHtmlUpdate(htmlUpdate.file, htmlUpdate.instruction, req.body.project);
           
           // Create an AI message with the result and add to conversation
           const updateMessage = new HumanMessage(message);
@@ -0,0 +1,85 @@
+// What happens to a captured page's JavaScript:
+// - keep: external scripts are downloaded and pointed at their local copies and
+//   inline scripts stay, so interactive pages keep working.
+// - freeze: the DOM as rendered after the scripts ran, with everything that
+//   would execute removed. Data blocks such as JSON-LD stay.
+// - strip: every <script>, <noscript>, event handler and javascript: URL goes.
+
+export const SCRIPT_MODES = ["keep", "freeze", "strip"];
+export const DEFAULT_SCRIPT_MODE = "freeze";
+
+// <script> types the browser runs; anything else is a data block.
+const EXECUTABLE_TYPES = [
+  "",
+  "module",
+  "text/javascript",
+  "application/javascript",
+  "application/ecmascript",
+  "text/ecmascript",
+  "application/x-javascript",
+];
+
+export const resolveScriptMode = (value) => {
+  if (value === undefined || value === null) return DEFAULT_SCRIPT_MODE;
+  if (!SCRIPT_MODES.includes(value)) {
+    throw new Error(`scripts must be one of ${SCRIPT_MODES.join(", ")}`);
+  }
+  return value;
+};
+
+// localize(src) resolves to the URL the page should load the script from, or
+// null to leave it pointing at the live site.
+const localizeScripts = async (page, localize) => {
+  const sources = await page.$$eval("script[src]", (scripts) =>
+    scripts.map((s) => s.src)
+  );
+  const localSources = await Promise.all(sources.map(localize));
+  await page.$$eval(
+    "script[src]",
+    (scripts, local) => {
+      scripts.forEach((s, i) => {
+        if (local[i]) s.setAttribute("src", local[i]);
+      });
+    },
+    localSources
+  );
+  return localSources.filter(Boolean).length;
+};
+
+const removeScripts = (page, strip) =>
+  page.evaluate(
+    (strip, executableTypes) => {
+      const executable = (script) =>
+        executableTypes.includes((script.getAttribute("type") || "").trim().toLowerCase());
+      document.querySelectorAll("script").forEach((script) => {
+        if (strip || executable(script)) script.remove();
+      });
+      document
+        .querySelectorAll("link[rel~='modulepreload'], link[rel~='preload'][as='script']")
+        .forEach((link) => link.remove());
+      if (strip) {
+        document.querySelectorAll("noscript").forEach((noscript) => noscript.remove());
+      }
+
+      // Handlers and javascript: links would only throw without the scripts
+      document.querySelectorAll("*").forEach((el) => {
+        for (const attr of Array.from(el.attributes)) {
+          if (attr.name.startsWith("on")) el.removeAttribute(attr.name);
+        }
+      });
+      document.querySelectorAll("[href^='javascript:' i]").forEach((el) => {
+        el.setAttribute("href", "#");
+      });
+    },
+    strip,
+    EXECUTABLE_TYPES
+  );
+
+export const applyScriptMode = async (page, mode, localize) => {
+  if (mode === "keep") {
+    const localized = await localizeScripts(page, localize);
+    console.log(`📜 Kept scripts, ${localized} downloaded`);
+    return;
+  }
+  await removeScripts(page, mode === "strip");
+};
@@ -1,7 +1,33 @@
 import express from 'express';
-import { webScraping } from './webScraping.js';
+import {
+  webScraping,
+  listCrawlJobs,
+  getCrawlJob,
+  cancelCrawlJob,
+  listScrapeProjects,
+  getScrapeProject,
+  getProjectSiteMap,
+  getCrawlReport,
+  getPageIndex,
+  searchPages,
+  exportScrapeProject,
+  exportSingleFilePage,
+  deleteScrapeProject,
+} from './webScraping.js';
 const router = express.Router();
 
 router.post('/webScrape', webScraping);
+router.get('/search', searchPages);
+router.get('/jobs', listCrawlJobs);
+router.get('/jobs/:id', getCrawlJob);
+router.post('/jobs/:id/cancel', cancelCrawlJob);
+router.get('/projects', listScrapeProjects);
+router.get('/projects/:id', getScrapeProject);
+router.get('/projects/:id/site-map', getProjectSiteMap);
+router.get('/projects/:id/report', getCrawlReport);
+router.get('/projects/:id/pages', getPageIndex);
+router.get('/projects/:id/export', exportScrapeProject);
+router.get('/projects/:id/single-file', exportSingleFilePage);
+router.delete('/projects/:id', deleteScrapeProject);
 
 export default router;
@@ -0,0 +1,259 @@
+import fs from "fs/promises";
+import path from "path";
+import { parse } from "node-html-parser";
+
+// Full-text search over a project's pages: the visible text of every page is
+// split into blocks (paragraphs, headings, list items, cells...) with a CSS
+// selector each, kept in search-index.json, and ranked with BM25 through an
+// in-memory inverted index. Crawls and HTML edits keep it current.
+
+export const SEARCH_INDEX_FILE = "search-index.json";
+const K1 = 1.2;
+const B = 0.75;
+const SNIPPET_LENGTH = 160;
+const HITS_PER_PAGE = 3;
+
+const SKIPPED_TAGS = new Set([
+  "head", "script", "style", "noscript", "template", "svg", "canvas", "iframe", "object",
+]);
+// Text inside these stays part of the surrounding block
+const INLINE_TAGS = new Set([
+  "a", "abbr", "b", "bdi", "bdo", "cite", "code", "data", "dfn", "em", "i", "kbd",
+  "label", "mark", "q", "s", "samp", "small", "span", "strong", "sub", "sup", "time", "u", "var", "wbr",
+]);
+const STOP_WORDS = new Set(
+  "a an and are as at be by for from has in is it its of on or that the to was were will with".split(" ")
+);
+
+export const tokenize = (text) =>
+  (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter((token) => !STOP_WORDS.has(token));
+
+const isHidden = (element) =>
+  element.hasAttribute("hidden") ||
+  element.getAttribute("aria-hidden") === "true" ||
+  /display\s*:\s*none|visibility\s*:\s*hidden/i.test(element.getAttribute("style") || "");
+
+// "#pricing" when the element has a usable id, otherwise a :nth-of-type path
+// from the nearest ancestor that has one (or from body).
+const isShadowTemplate = (node) =>
+  node.tagName?.toLowerCase() === "template" && node.hasAttribute("shadowrootmode");
+
+// Inside a declarative shadow root the path restarts at the root and is joined
+// to its host's with ">>>", Puppeteer's deep combinator, since "host > template"
+// matches nothing once the browser attaches the shadow root.
+const selectorFor = (element) => {
+  const parts = [];
+  let node = element;
+  for (; node?.tagName && !isShadowTemplate(node); node = node.parentNode) {
+    const tag = node.tagName.toLowerCase();
+    if (node.id && /^[A-Za-z][\w-]*$/.test(node.id)) {
+      parts.unshift(`#${node.id}`);
+      break;
+    }
+    if (tag === "body" || tag === "html") {
+      parts.unshift(tag);
+      break;
+    }
+    const siblings = (node.parentNode?.childNodes || []).filter(
+      (sibling) => sibling.tagName === node.tagName
+    );
+    parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+  }
+  while (node?.tagName && !isShadowTemplate(node)) node = node.parentNode;
+  if (!node?.tagName) return parts.join(" > ");
+  const host = selectorFor(node.parentNode);
+  return parts.length ? `${host} >>> ${parts.join(" > ")}` : host;
+};
+
+// The page's title and its visible text as [{ selector, text }] blocks.
+export const extractTextBlocks = (html) => {
+  const root = parse(html, { comment: false });
+  const blocks = [];
+
+  const walk = (element, block) => {
+    for (const child of element.childNodes) {
+      if (child.nodeType === 3) {
+        const text = child.text.replace(/\s+/g, " ");
+        if (text.trim()) block.parts.push(text);
+        continue;
+      }
+      if (child.nodeType !== 1) continue;
+      const tag = child.tagName.toLowerCase();
+      // Declarative shadow roots hold content that renders, other templates do not
+      if ((SKIPPED_TAGS.has(tag) && !isShadowTemplate(child)) || isHidden(child)) continue;
+      if (tag === "br") {
+        block.parts.push(" ");
+      } else if (INLINE_TAGS.has(tag)) {
+        walk(child, block);
+      } else {
+        const inner = { parts: [] };
+        walk(child, inner);
+        const text = inner.parts.join("").replace(/\s+/g, " ").trim();
+        if (text) blocks.push({ selector: selectorFor(child), text });
+      }
+    }
+  };
+
+  const body = root.querySelector("body") || root;
+  const top = { parts: [] };
+  walk(body, top);
+  const loose = top.parts.join("").replace(/\s+/g, " ").trim();
+  if (loose) blocks.unshift({ selector: "body", text: loose });
+
+  return {
+    title: root.querySelector("title")?.text.replace(/\s+/g, " ").trim() || "",
+    blocks,
+  };
+};
+
+// Up to SNIPPET_LENGTH characters of text around the first query term.
+const snippetFor = (text, terms) => {
+  const lower = text.toLowerCase();
+  const first = Math.min(
+    ...terms.map((term) => lower.search(new RegExp(`(^|[^\\p{L}\\p{N}])${term}`, "u"))).filter((i) => i >= 0),
+    text.length
+  );
+  if (text.length <= SNIPPET_LENGTH) return text;
+  const start = Math.max(0, Math.min(first - 40, text.length - SNIPPET_LENGTH));
+  const end = start + SNIPPET_LENGTH;
+  return `${start > 0 ? "…" : ""}${text.slice(start, end).trim()}${end < text.length ? "…" : ""}`;
+};
+
+const createIndex = (saved) => {
+  // file -> { url, title, blocks, length }
+  const docs = new Map(Object.entries(saved?.docs || {}));
+  // term -> Map(file -> term frequency)
+  const postings = new Map();
+  let totalLength = 0;
+
+  const docTerms = (doc) => tokenize(`${doc.title} ${doc.blocks.map((block) => block.text).join(" ")}`);
+
+  const addPostings = (file, doc) => {
+    const terms = docTerms(doc);
+    doc.length = terms.length;
+    totalLength += terms.length;
+    for (const term of terms) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      const files = postings.get(term);
+      files.set(file, (files.get(file) || 0) + 1);
+    }
+  };
+
+  const removePage = (file) => {
+    const doc = docs.get(file);
+    if (!doc) return;
+    totalLength -= doc.length;
+    for (const term of new Set(docTerms(doc))) {
+      postings.get(term)?.delete(file);
+      if (postings.get(term)?.size === 0) postings.delete(term);
+    }
+    docs.delete(file);
+  };
+
+  // url defaults to the one the page was indexed with before, for edits.
+  const indexPage = (file, html, url = docs.get(file)?.url ?? null) => {
+    removePage(file);
+    const doc = { url, ...extractTextBlocks(html) };
+    addPostings(file, doc);
+    docs.set(file, doc);
+  };
+
+  const search = (query, { limit = 10 } = {}) => {
+    const terms = Array.from(new Set(tokenize(query)));
+    const averageLength = docs.size ? totalLength / docs.size : 0;
+    const scores = new Map();
+    for (const term of terms) {
+      const files = postings.get(term);
+      if (!files) continue;
+      const idf = Math.log(1 + (docs.size - files.size + 0.5) / (files.size + 0.5));
+      for (const [file, frequency] of files) {
+        const { length } = docs.get(file);
+        const score =
+          (idf * frequency * (K1 + 1)) /
+          (frequency + K1 * (1 - B + (B * length) / (averageLength || 1)));
+        scores.set(file, (scores.get(file) || 0) + score);
+      }
+    }
+
+    const ranked = Array.from(scores, ([file, score]) => ({ file, score }))
+      .sort((a, b) => b.score - a.score);
+    return {
+      total: ranked.length,
+      results: ranked.slice(0, limit).map(({ file, score }) => {
+        const doc = docs.get(file);
+        const hits = doc.blocks
+          .map((block) => {
+            const blockTerms = new Set(tokenize(block.text));
+            return { block, matched: terms.filter((term) => blockTerms.has(term)).length };
+          })
+          .filter((hit) => hit.matched > 0)
+          .sort((a, b) => b.matched - a.matched)
+          .slice(0, HITS_PER_PAGE)
+          .map(({ block }) => ({ selector: block.selector, snippet: snippetFor(block.text, terms) }));
+        return {
+          file,
+          url: doc.url,
+          title: doc.title,
+          score: Number(score.toFixed(3)),
+          snippet: hits[0]?.snippet || snippetFor(doc.title, terms),
+          hits,
+        };
+      }),
+    };
+  };
+
+  for (const [file, doc] of docs) addPostings(file, doc);
+
+  const toJSON = () => ({
+    updatedAt: new Date().toISOString(),
+    docs: Object.fromEntries(
+      Array.from(docs, ([file, { url, title, blocks }]) => [file, { url, title, blocks }])
+    ),
+  });
+
+  return { indexPage, removePage, search, toJSON, size: () => docs.size };
+};
+
+// One index per project folder, shared by crawls, edits and searches in this
+// process and reloaded when the file changed underneath it.
+const indexes = new Map();
+
+export const openSearchIndex = async (baseDir) => {
+  const filePath = path.join(baseDir, SEARCH_INDEX_FILE);
+  const mtimeMs = await fs.stat(filePath).then((stat) => stat.mtimeMs, () => null);
+  const cached = indexes.get(baseDir);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.index;
+
+  let saved = null;
+  if (mtimeMs !== null) {
+    try {
+      saved = JSON.parse(await fs.readFile(filePath, "utf-8"));
+    } catch (err) {
+      console.warn(`⚠️ Rebuilding unreadable ${SEARCH_INDEX_FILE}: ${err.message}`);
+    }
+  }
+  const index = createIndex(saved);
+  const entry = { index, mtimeMs };
+
+  index.save = async () => {
+    await fs.writeFile(`${filePath}.tmp`, JSON.stringify(index.toJSON()));
+    await fs.rename(`${filePath}.tmp`, filePath);
+    entry.mtimeMs = (await fs.stat(filePath)).mtimeMs;
+  };
+
+  indexes.set(baseDir, entry);
+  return index;
+};
+
+// Re-indexes one page after it was edited on disk. A failure here never fails
+// the edit; the next crawl rebuilds the entry.
+export const reindexPage = async (baseDir, file) => {
+  try {
+    const index = await openSearchIndex(baseDir);
+    index.indexPage(file, await fs.readFile(path.join(baseDir, file), "utf-8"));
+    await index.save();
+    console.log(`🔎 Re-indexed ${file}`);
+  } catch (err) {
+    console.warn(`⚠️ Could not update the search index for ${file}: ${err.message}`);
+  }
+};
@@ -0,0 +1,61 @@
+// Open shadow roots are not part of page.content(). Before a document is
+// serialized, each one is written into its host as declarative shadow DOM,
+// <template shadowrootmode="open">, which the browser attaches again when it
+// parses the saved file. Closed shadow roots cannot be reached and stay empty.
+// Until then the crawler rewrites links and assets inside the live shadow
+// roots, through "pierce/" selectors.
+
+// Constructable stylesheets (adoptedStyleSheets, as Lit uses) have no markup.
+// Their rules are copied into a <style> at the end of the shadow root, where
+// they keep their precedence and get their url()s localized with the other
+// style blocks.
+export const materializeAdoptedStyles = (frame) =>
+  frame.evaluate(() => {
+    let count = 0;
+    const visit = (root) => {
+      root.querySelectorAll("*").forEach((el) => {
+        const shadow = el.shadowRoot;
+        if (!shadow) return;
+        const rules = shadow.adoptedStyleSheets.flatMap((sheet) => {
+          try {
+            return Array.from(sheet.cssRules, (rule) => rule.cssText);
+          } catch {
+            return [];
+          }
+        });
+        if (rules.length) {
+          const style = document.createElement("style");
+          style.textContent = rules.join("\n");
+          shadow.append(style);
+          count++;
+        }
+        visit(shadow);
+      });
+    };
+    visit(document);
+    return count;
+  });
+
+// Returns the number of shadow roots written out.
+export const declareShadowRoots = (frame) =>
+  frame.evaluate(() => {
+    const hosts = [];
+    // Inner hosts come first, so the templates of outer ones include theirs
+    const visit = (root) => {
+      root.querySelectorAll("*").forEach((el) => {
+        if (!el.shadowRoot) return;
+        visit(el.shadowRoot);
+        hosts.push(el);
+      });
+    };
+    visit(document);
+
+    for (const host of hosts) {
+      const template = document.createElement("template");
+      template.setAttribute("shadowrootmode", "open");
+      if (host.shadowRoot.delegatesFocus) template.setAttribute("shadowrootdelegatesfocus", "");
+      template.innerHTML = host.shadowRoot.innerHTML;
+      host.prepend(template);
+    }
+    return hosts.length;
+  });
@@ -0,0 +1,120 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Optional per-page screenshots: a full-page PNG and an above-the-fold JPEG
+// thumbnail for every captured URL, plus site-map.json and an _site-map.html
+// gallery linking each local page to its thumbnail.
+
+export const SITE_MAP_FILE = "site-map.json";
+// The underscore keeps it clear of a captured /site-map page
+export const SITE_MAP_HTML_FILE = "_site-map.html";
+const THUMBNAIL_WIDTH = 320;
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  })[char]);
+
+// The saved site-map.json, or null when the project has no screenshots yet.
+export const readSiteMap = async (baseDir) => {
+  try {
+    return JSON.parse(await fs.readFile(path.join(baseDir, SITE_MAP_FILE), "utf-8"));
+  } catch {
+    return null;
+  }
+};
+
+const loadSiteMap = async (baseDir) => {
+  const saved = await readSiteMap(baseDir);
+  return Object.fromEntries((saved?.pages || []).map((page) => [page.url, page]));
+};
+
+const renderGallery = (pages) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Site map</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 24px; background: #f5f5f5; }
+ul { list-style: none; padding: 0; display: grid; grid-template-columns: repeat(auto-fill, minmax(${THUMBNAIL_WIDTH}px, 1fr)); gap: 16px; }
+li { background: #fff; border-radius: 6px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,.15); }
+li a { color: inherit; text-decoration: none; display: block; }
+li img { width: 100%; display: block; border-bottom: 1px solid #eee; }
+li p { margin: 8px 12px; font-size: 14px; word-break: break-all; }
+li small { color: #666; }
+</style>
+</head>
+<body>
+<h1>Site map (${pages.length} pages)</h1>
+<ul>
+${pages
+  .map(
+    (page) => `<li><a href="./${escapeHtml(page.file)}">
+<img src="./${escapeHtml(page.thumbnail)}" alt="" loading="lazy">
+<p>${escapeHtml(page.title || page.file)}<br><small>${escapeHtml(page.url)}</small></p>
+</a></li>`
+  )
+  .join("\n")}
+</ul>
+</body>
+</html>
+`;
+
+export const createSiteMap = async (baseDir, enabled) => {
+  const pages = await loadSiteMap(baseDir);
+
+  // Screenshots the rendered page; pageFile is its project-relative .html file.
+  const capture = async (page, url, pageFile) => {
+    if (!enabled) return;
+    const name = pageFile.replace(/\.html$/, "");
+    const screenshot = `screenshots/${name}.png`;
+    const thumbnail = `thumbnails/${name}.jpg`;
+    await fs.mkdir(path.dirname(path.join(baseDir, screenshot)), { recursive: true });
+    await fs.mkdir(path.dirname(path.join(baseDir, thumbnail)), { recursive: true });
+
+    await page.screenshot({ path: path.join(baseDir, screenshot), fullPage: true });
+    const { width, height } = page.viewport();
+    await page.screenshot({
+      path: path.join(baseDir, thumbnail),
+      type: "jpeg",
+      quality: 70,
+      clip: { x: 0, y: 0, width, height, scale: THUMBNAIL_WIDTH / width },
+    });
+
+    pages[url] = {
+      url,
+      title: await page.title(),
+      file: pageFile,
+      screenshot,
+      thumbnail,
+      capturedAt: new Date().toISOString(),
+    };
+  };
+
+  // Pages captured by earlier crawls stay listed.
+  const save = async () => {
+    if (!enabled) return;
+    const list = Object.values(pages).sort((a, b) => a.file.localeCompare(b.file));
+    await fs.writeFile(
+      path.join(baseDir, SITE_MAP_FILE),
+      JSON.stringify({ updatedAt: new Date().toISOString(), pages: list }, null, 2)
+    );
+    await fs.writeFile(path.join(baseDir, SITE_MAP_HTML_FILE), renderGallery(list));
+  };
+
+  const summarize = (previewUrl) =>
+    enabled
+      ? {
+          pages: Object.keys(pages).length,
+          json: SITE_MAP_FILE,
+          gallery: SITE_MAP_HTML_FILE,
+          galleryUrl: `${previewUrl}${SITE_MAP_HTML_FILE}`,
+        }
+      : undefined;
+
+  return { capture, save, summarize };
+};
@@ -0,0 +1,105 @@
+import fs from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+import { enqueueLink, isInternalUrl } from "./crawlScope.js";
+
+// Sitemap discovery: /sitemap.xml plus any Sitemap: lines in robots.txt,
+// following sitemap indexes down to the page URLs they list.
+
+const MAX_SITEMAPS = 50;
+
+const decodeXml = (value) =>
+  value
+    .replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+
+// Matches <tag> with or without a namespace prefix and returns the inner XML.
+const tagContents = (xml, tag) =>
+  Array.from(
+    xml.matchAll(
+      new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, "gi")
+    ),
+    (match) => match[1]
+  );
+
+const firstValue = (xml, tag) => {
+  const [value] = tagContents(xml, tag);
+  return value === undefined ? null : decodeXml(value);
+};
+
+export const parseSitemap = (xml) => {
+  const isIndex = /<(?:[\w-]+:)?sitemapindex\b/i.test(xml);
+  const entries = tagContents(xml, isIndex ? "sitemap" : "url")
+    .map((block) => ({ url: firstValue(block, "loc"), lastmod: firstValue(block, "lastmod") }))
+    .filter((entry) => entry.url);
+  return { isIndex, entries };
+};
+
+const readSitemap = async (politeness, sitemapUrl) => {
+  const response = await politeness.fetch(sitemapUrl);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  let buffer = Buffer.from(await response.arrayBuffer());
+  // .xml.gz files are served as gzip data, not with a gzip Content-Encoding.
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) buffer = zlib.gunzipSync(buffer);
+  return buffer.toString("utf-8");
+};
+
+export const discoverSitemapUrls = async (startUrl, politeness) => {
+  const { origin } = new URL(startUrl);
+  const robots = await politeness.getRobots(startUrl);
+  const pending = Array.from(new Set([...robots.sitemaps, `${origin}/sitemap.xml`]));
+  const seen = new Set();
+  const sitemaps = [];
+  const entries = [];
+
+  while (pending.length > 0 && seen.size < MAX_SITEMAPS) {
+    const sitemapUrl = pending.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    try {
+      const { isIndex, entries: found } = parseSitemap(
+        await readSitemap(politeness, sitemapUrl)
+      );
+      sitemaps.push(sitemapUrl);
+      if (isIndex) {
+        pending.push(...found.map((entry) => entry.url));
+      } else {
+        entries.push(...found.map((entry) => ({ ...entry, sitemap: sitemapUrl })));
+      }
+    } catch (err) {
+      console.warn(`🗺️ Sitemap unavailable: ${sitemapUrl}, ${err.message}`);
+    }
+  }
+
+  return { sitemaps, entries };
+};
+
+// Queues every in-scope sitemap URL one hop from the start page, records
+// lastmod dates on the crawl and saves them to sitemap.json in baseDir.
+export const seedFromSitemaps = async (crawl, startUrl, baseDir, normalize) => {
+  const { sitemaps, entries } = await discoverSitemapUrls(startUrl, crawl.politeness);
+
+  const pages = [];
+  let queued = 0;
+  for (const entry of entries) {
+    const url = normalize(entry.url);
+    if (!url || !isInternalUrl(crawl, url)) continue;
+    if (entry.lastmod) crawl.lastmod.set(url, entry.lastmod);
+    pages.push({ url, lastmod: entry.lastmod, sitemap: entry.sitemap });
+    if (enqueueLink(crawl, url, 1)) queued++;
+  }
+
+  await fs.writeFile(
+    path.join(baseDir, "sitemap.json"),
+    JSON.stringify({ sitemaps, pages }, null, 2)
+  );
+  console.log(`🗺️ Sitemaps: ${sitemaps.length} read, ${pages.length} URLs, ${queued} queued`);
+
+  return { sitemaps, discovered: pages.length, queued };
+};
@@ -0,0 +1,294 @@
+import { isInternalUrl } from "./crawlScope.js";
+
+// SPA route discovery for apps that navigate with onClick handlers and
+// history.pushState instead of links:
+// - every page records the URLs pushed through the History API (and hash
+//   changes) while it loads, and those routes are queued like links
+// - with click set, the page is loaded a second time after it was captured and
+//   its same-origin nav controls (buttons, [role=link], tabs...) are clicked
+//   one by one to see which routes they push
+//
+// Clicking is guarded: controls whose text or attributes look destructive
+// (logout, delete, checkout...) or that belong to a form are never clicked,
+// and while clicking the page cannot send anything but GET requests, submit
+// forms, open windows or leave its route, and confirm() answers "no". The
+// in-page guards catch most of that first; request interception enforces it
+// for whatever gets past them.
+
+const DEFAULT_MAX_CLICKS = 25;
+const CLICK_SETTLE_MS = 3000;
+const NAVIGATION = { waitUntil: "networkidle2", timeout: 30000 };
+// Above the crawl session's handler, which continues requests at priority 0
+const BLOCK_PRIORITY = 1;
+const SAFE_METHODS = ["GET", "HEAD"];
+
+const DESTRUCTIVE_WORDS = [
+  "log ?out", "log ?off", "sign ?out", "delete", "remove", "destroy", "erase", "purge",
+  "discard", "trash", "archive", "unsubscribe", "deactivate", "disable", "revoke",
+  "cancel", "reset", "clear", "empty", "buy", "purchase", "checkout", "pay", "order",
+  "subscribe", "submit", "send", "post", "publish", "confirm", "approve", "reject", "danger",
+];
+const DESTRUCTIVE = `\\b(${DESTRUCTIVE_WORDS.join("|")})\\b`;
+
+const CANDIDATES = [
+  "button",
+  "[role='link']",
+  "[role='menuitem']",
+  "[role='tab']",
+  "a:not([href])",
+  "[onclick]",
+  "[data-href]",
+  "[data-to]",
+  "[data-link]",
+].join(", ");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// false/undefined turns discovery off, true records pushed routes, and
+// { click, maxClicks, avoid } clicks nav controls too. avoid lists extra words
+// or phrases that mark a control as off limits.
+export const resolveSpaOptions = (value) => {
+  if (value === undefined || value === null || value === false) return null;
+  if (value === true) return { click: false, maxClicks: DEFAULT_MAX_CLICKS, avoid: [] };
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new Error("spa must be true or { click, maxClicks, avoid }");
+  }
+  const maxClicks = value.maxClicks ?? DEFAULT_MAX_CLICKS;
+  if (!Number.isInteger(maxClicks) || maxClicks < 0) {
+    throw new Error("spa.maxClicks must be a non-negative integer");
+  }
+  const avoid = value.avoid ?? [];
+  if (!Array.isArray(avoid) || avoid.some((entry) => typeof entry !== "string" || !entry.trim())) {
+    throw new Error("spa.avoid must be a list of words or phrases");
+  }
+  return { click: Boolean(value.click), maxClicks, avoid: avoid.map((entry) => entry.trim()) };
+};
+
+// Runs in every document before the app's own scripts.
+const recordHistory = () => {
+  const routes = new Set();
+  const record = (url) => {
+    try {
+      routes.add(new URL(url, location.href).href);
+    } catch {
+      // Not a URL the page could have navigated to
+    }
+  };
+  for (const method of ["pushState", "replaceState"]) {
+    const original = history[method];
+    history[method] = function (state, title, url) {
+      if (url !== undefined && url !== null) record(url);
+      return original.apply(this, arguments);
+    };
+  }
+  window.addEventListener("hashchange", () => record(location.href));
+  Object.defineProperty(window, "__domorphRoutes", { value: routes });
+};
+
+const pushedRoutes = (page) =>
+  page.evaluate(() => Array.from(window.__domorphRoutes || [])).catch(() => []);
+
+// Runs in the page before clicking.
+const installGuards = () => {
+  const safe = (method) => ["GET", "HEAD"].includes(String(method || "GET").toUpperCase());
+  const originalFetch = window.fetch;
+  window.fetch = function (input, init) {
+    const method = init?.method || (input instanceof Request ? input.method : "GET");
+    if (!safe(method)) return Promise.reject(new TypeError(`${method} blocked during route discovery`));
+    return originalFetch.apply(this, arguments);
+  };
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+  XMLHttpRequest.prototype.open = function (method) {
+    this.__domorphMethod = method;
+    return originalOpen.apply(this, arguments);
+  };
+  XMLHttpRequest.prototype.send = function () {
+    if (!safe(this.__domorphMethod)) throw new DOMException("Blocked during route discovery", "NetworkError");
+    return originalSend.apply(this, arguments);
+  };
+  navigator.sendBeacon = () => false;
+  document.addEventListener("submit", (event) => event.preventDefault(), true);
+  HTMLFormElement.prototype.submit = () => {};
+  HTMLFormElement.prototype.requestSubmit = () => {};
+  window.open = (url) => {
+    try {
+      window.__domorphRoutes?.add(new URL(url, location.href).href);
+    } catch {
+      // Not a URL
+    }
+    return null;
+  };
+  window.confirm = () => false;
+  window.alert = () => {};
+  window.prompt = () => null;
+  window.__domorphGuarded = true;
+};
+
+// Candidates in the order they will be clicked, nav controls first, each as
+// a key that finds it again after the app re-rendered.
+const findControls = (selector, destructive, avoid) => {
+  const blocked = new RegExp(destructive, "i");
+  const avoided = avoid.map((source) => new RegExp(source, "i"));
+  const label = (el) => (el.textContent || "").replace(/\s+/g, " ").trim().slice(0, 200);
+  const isSafe = (el) => {
+    if (el.closest("form, [contenteditable='true']")) return false;
+    if (el.matches("[disabled], [aria-disabled='true'], [download], [type='submit'], [type='reset']")) return false;
+    if (!el.getClientRects().length) return false;
+    const text = [label(el), ...Array.from(el.attributes, (attr) => attr.value)].join(" ");
+    if (blocked.test(text) || avoided.some((pattern) => pattern.test(text))) return false;
+    const target = el.getAttribute("data-href") || el.getAttribute("data-to") || el.getAttribute("data-link");
+    if (target) {
+      try {
+        if (new URL(target, location.href).origin !== location.origin) return false;
+      } catch {
+        // Not a URL; the click handler decides where it goes
+      }
+    }
+    return true;
+  };
+  const isNav = (el) =>
+    Boolean(el.closest("nav, header, [role='navigation'], [role='menubar'], [role='tablist']"));
+
+  const seen = new Map();
+  const controls = Array.from(document.querySelectorAll(selector)).map((el) => {
+    const signature = `${el.tagName}|${label(el)}`;
+    seen.set(signature, (seen.get(signature) || 0) + 1);
+    return { el, key: `${signature}#${seen.get(signature)}` };
+  });
+  window.__domorphControls = new Map(controls.map(({ el, key }) => [key, el]));
+  return controls
+    .filter(({ el }) => isSafe(el))
+    .sort((a, b) => isNav(b.el) - isNav(a.el))
+    .map(({ key }) => key);
+};
+
+const clickControl = (selector, key) => {
+  // Re-rendered controls are found again by their key
+  let el = window.__domorphControls?.get(key);
+  if (!el?.isConnected) {
+    const label = (node) => (node.textContent || "").replace(/\s+/g, " ").trim().slice(0, 200);
+    const seen = new Map();
+    el = Array.from(document.querySelectorAll(selector)).find((node) => {
+      const signature = `${node.tagName}|${label(node)}`;
+      seen.set(signature, (seen.get(signature) || 0) + 1);
+      return `${signature}#${seen.get(signature)}` === key;
+    });
+  }
+  if (!el) return false;
+  el.click();
+  return true;
+};
+
+const withoutHash = (url) => url.split("#")[0];
+
+// Aborts, until the returned function is called, every request that is not a
+// GET or HEAD and every top-level navigation away from route. Navigations that
+// were stopped are noted in found.
+const blockRequests = async (page, route, found, keepIntercepting) => {
+  await page.setRequestInterception(true);
+  const guard = (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    const safe = SAFE_METHODS.includes(request.method());
+    const leaves =
+      request.isNavigationRequest() &&
+      request.frame() === page.mainFrame() &&
+      withoutHash(request.url()) !== withoutHash(route);
+    if (safe && !leaves) {
+      request.continue(request.continueRequestOverrides(), 0);
+      return;
+    }
+    if (safe) found.push(request.url());
+    request.abort("blockedbyclient", BLOCK_PRIORITY);
+  };
+  page.on("request", guard);
+  return async () => {
+    page.off("request", guard);
+    if (!keepIntercepting) await page.setRequestInterception(false).catch(() => {});
+  };
+};
+
+export const createSpaDiscovery = (crawl) => {
+  const options = crawl.options.spa;
+
+  // Call before the page navigates.
+  const preparePage = async (page) => {
+    if (!options) return;
+    await page.evaluateOnNewDocument(recordHistory);
+  };
+
+  // Loads url again in page and clicks its controls; returns the URLs they led to.
+  const clickThrough = async (page, url) => {
+    const found = [];
+    await crawl.politeness.navigate(page, url, NAVIGATION);
+    await page.evaluate(installGuards);
+    const startHref = await page.evaluate(() => location.href);
+    const unblock = await blockRequests(page, startHref, found, crawl.session.interceptsRequests);
+    try {
+      const keys = await page.evaluate(
+        findControls,
+        CANDIDATES,
+        DESTRUCTIVE,
+        options.avoid.map(escapeRegExp)
+      );
+
+      for (const key of keys.slice(0, options.maxClicks)) {
+        if (crawl.signal?.aborted) break;
+        try {
+          if (!(await page.evaluate(clickControl, CANDIDATES, key))) continue;
+        } catch {
+          break;
+        }
+        await page.waitForNetworkIdle({ idleTime: 250, timeout: CLICK_SETTLE_MS }).catch(() => {});
+
+        // A click that still loaded a new document ends the run: the guards are gone
+        const state = await page
+          .evaluate(() => ({ href: location.href, guarded: window.__domorphGuarded === true }))
+          .catch(() => null);
+        if (!state?.guarded) {
+          found.push(page.url());
+          break;
+        }
+        if (state.href !== startHref) {
+          found.push(state.href);
+          await page.evaluate(() => history.back()).catch(() => {});
+          const back = await page
+            .waitForFunction((href) => location.href === href, { timeout: CLICK_SETTLE_MS }, startHref)
+            .then(() => true, () => false);
+          if (!back) break;
+        }
+      }
+    } finally {
+      await unblock();
+    }
+    return found.concat(await pushedRoutes(page));
+  };
+
+  // The internal, normalized routes found on the page, the page itself excluded.
+  const discover = async (page, url) => {
+    if (!options) return [];
+    const found = await pushedRoutes(page);
+    if (options.click) {
+      try {
+        found.push(...(await clickThrough(page, url)));
+      } catch (err) {
+        console.warn(`🧭 Route discovery failed on ${url}: ${err.message}`);
+      }
+    }
+
+    const routes = new Set();
+    for (const route of found) {
+      try {
+        if (!/^https?:/.test(route) || !isInternalUrl(crawl, route)) continue;
+        const normalized = crawl.normalize(route);
+        if (normalized && normalized !== url) routes.add(normalized);
+      } catch {
+        // Not a URL
+      }
+    }
+    if (routes.size) console.log(`🧭 Found ${routes.size} SPA routes on ${url}`);
+    return Array.from(routes);
+  };
+
+  return { enabled: Boolean(options), preparePage, discover };
+};
@@ -38,6 +38,12 @@ You have tools to search the codebase and read files. Follow these rules regardi
 
 <web_scraping>
 If the user enters a domain like "www.domain.com" or any URL, you should call the scrapper-agent to scrape the website. The scrapper-agent will extract the content and structure of the website for further processing.
+
+Large sites are crawled in the background. If the scrape has not finished yet you get back a jobId: tell the USER the crawl is still running and how far it got (for example "crawl still running, 40/120 pages"). When the USER asks about progress, check the job with crawl_status; if they want to stop it, use cancel_crawl.
+
+A finished scrape includes a report. When it lists broken links or failed assets, tell the USER how many and give a few examples rather than only saying the scrape succeeded.
+
+Every scraped site is kept as its own project, named after the site's host unless the USER picks a name. Use list_projects when the USER asks which sites have been captured, list_pages to find which page covers a topic (by title, description and headings) before reading any HTML, site_map for page thumbnails, export_project when they want to download a site as a ZIP, and export_page when they want one page as a single HTML file they can share.
 </web_scraping>
 
 <html_updating>
@@ -101,14 +107,70 @@ export const availableFunctions = [
     name: "scrape_website",
     description: "Scrape a website using the scrapper-agent",
     parameters: {
-      url: "The URL to scrape"
+      url: "The URL to scrape",
+      project: "Optional project name to capture the site into",
+      crawl: "Optional crawl settings: maxDepth, maxPages, include/exclude URL patterns, samePathPrefix, allowedOrigins (extra hosts or *.domain subdomains to crawl), ignoreRobots, delayMs, retries, sitemap, resume, incremental, query (ignore, keep or a list of parameters), hashRoutes, spa (find single-page app routes pushed through the History API, or by clicking nav buttons with { click: true }), publicBaseUrl, scripts (keep, freeze or strip), auth (cookies, headers, basic or login for protected sites), screenshots, warc (archive the raw HTTP traffic), device (desktop, tablet, mobile, a custom viewport, or a list to capture each into its own project)"
+    }
+  },
+  {
+    name: "crawl_status",
+    description: "Check the progress or result of a scrape job",
+    parameters: {
+      jobId: "The jobId returned by scrape_website"
+    }
+  },
+  {
+    name: "cancel_crawl",
+    description: "Cancel a running scrape job",
+    parameters: {
+      jobId: "The jobId returned by scrape_website"
+    }
+  },
+  {
+    name: "list_projects",
+    description: "List the scraped website projects with their source URL, last crawl and preview URL",
+    parameters: {}
+  },
+  {
+    name: "site_map",
+    description: "List a project's pages with their titles, local files and thumbnail URLs (after a crawl with screenshots)",
+    parameters: {
+      project: "The project to show (defaults to the most recently crawled one)"
+    }
+  },
+  {
+    name: "list_pages",
+    description: "List a project's pages with title, description, headings and word count; filter with a query or get one file's full metadata",
+    parameters: {
+      project: "The project to look in (defaults to the most recently crawled one)",
+      query: "Words to look for in URLs, titles, descriptions and headings",
+      file: "A page file to return in full, with Open Graph tags, canonical URL and links"
+    }
+  },
+  {
+    name: "export_project",
+    description: "Get a download URL for a ZIP of a project with links made relative",
+    parameters: {
+      project: "The project to export (defaults to the most recently crawled one)",
+      pagesOnly: "true to include only the HTML pages",
+      includeHistory: "true to include earlier versions of edited pages",
+      includeWarc: "true to include the crawls' WARC archive"
+    }
+  },
+  {
+    name: "export_page",
+    description: "Get a download URL for one page as a self-contained HTML file with its assets inlined",
+    parameters: {
+      file: "The page to export (relative to the project folder)",
+      project: "The project the page belongs to (defaults to the most recently crawled one)"
     }
   },
   {
     name: "update_html",
-    description: "Update HTML content in the scraped website",
+    description: "Update HTML content in a scraped website project",
     parameters: {
-      file: "The HTML file to update (relative to scraped_website folder)",
+      file: "The HTML file to update (relative to the project folder)",
+      project: "The project the file belongs to (defaults to the most recently crawled one)",
       oldText: "The text to replace (for simple updates)",
       newText: "The new text to insert (for simple updates)",
       instruction: "Natural language instruction describing what to change (for intelligent updates)",
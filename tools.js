@@ -2,368 +2,96 @@ import fs from "fs/promises";
 import path from "path";
 import fetch from "node-fetch";
 import { fileURLToPath } from "url";
-import puppeteer from "puppeteer-extra";
-import StealthPlugin from "puppeteer-extra-plugin-stealth";
-import pLimit from "p-limit";
-import express from "express";
+import { startJob, activeJobFor } from "./jobs.js";
 
-puppeteer.use(StealthPlugin());
-
-// Track the website server
-let websiteServer = null;
+import { withoutAuth } from "./crawlSession.js";
+import { prepareCrawl, runCrawl } from "./crawler.js";
+import { reindexPage } from "./searchIndex.js";
+import { recordEdit } from "./editHistory.js";
+import { createUrlNormalizer } from "./urlNormalizer.js";
+import { planDeviceCrawls } from "./deviceProfiles.js";
+import { resolveProject } from "./projects.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const CONCURRENCY_LIMIT = 5;
-const limit = pLimit(CONCURRENCY_LIMIT);
-async function getFolderStructure(dir, base = "") {
-  const entries = await fs.readdir(dir, { withFileTypes: true });
-
-  const structure = [];
-
-  for (const entry of entries) {
-    if (entry.name === "assets") continue; // ⛔ Skip assets folder
-
-    const relativePath = path.join(base, entry.name);
-    const fullPath = path.join(dir, entry.name);
-
-    if (entry.isDirectory()) {
-      const children = await getFolderStructure(fullPath, relativePath);
-      structure.push({ type: "folder", name: entry.name, children });
-    } else {
-      structure.push({ type: "file", name: entry.name });
+// Captures a site set up by prepareCrawl. Pass a job from startJob to report
+// progress into it and stop when it is cancelled.
+const scrape = async (setup, job = null) => {
+  try {
+    const result = await runCrawl(setup, { job });
+    if (result.cancelled) {
+      return { ...result, message: `${result.message} Resume it with the resume option.` };
     }
+    return {
+      ...result,
+      message: `${result.message} Website running at ${result.previewUrl}`,
+      serverUrl: result.previewUrl,
+    };
+  } catch (err) {
+    if (job?.signal?.aborted) {
+      return { message: "Crawl cancelled.", cancelled: true };
+    }
+    console.error("Scraping failed:", err);
+    return { message: `Scraping failed: ${err.message}`, error: true };
   }
-
-  return structure;
-}
-
-
-const autoScroll = async (page) => {
-  await page.evaluate(async () => {
-    await new Promise((resolve) => {
-      let totalHeight = 0;
-      const distance = 100;
-      const timer = setInterval(() => {
-        const scrollHeight = document.body.scrollHeight;
-        window.scrollBy(0, distance);
-        totalHeight += distance;
-        if (totalHeight >= scrollHeight) {
-          clearInterval(timer);
-          resolve();
-        }
-      }, 100);
-    });
-  });
 };
 
-const normalizeUrl = (rawUrl) => {
-  try {
-    const url = new URL(rawUrl);
-    url.hash = "";
-    url.search = "";
-    return url.toString().replace(/\/$/, "");
-  } catch {
-    return null;
+// Thrown by startScrapeJobs when a project already has a crawl running; jobId
+// is that crawl's job.
+const assertProjectIdle = (projectId) => {
+  const running = activeJobFor(projectId);
+  if (running) {
+    const err = new Error(`Project ${projectId} is already being crawled (job ${running.id})`);
+    err.jobId = running.id;
+    throw err;
   }
 };
 
-const urlToPath = (baseDir, url) => {
-  const parsed = new URL(url);
-  let pathname = parsed.pathname.replace(/\/$/, "");
-  if (pathname === "") pathname = "/index";
-  return path.join(baseDir, `${pathname}.html`);
-};
-
-const extractInternalLinks = async (page, baseUrl) => {
-  const origin = new URL(baseUrl).origin;
-  const links = await page.$$eval("a[href]", (anchors) =>
-    anchors.map((a) => a.href)
-  );
-  const uniqueLinks = Array.from(
-    new Set(
-      links
-        .map((link) => {
-          try {
-            const u = new URL(link, origin);
-            return u.origin === origin ? u.href : null;
-          } catch {
-            return null;
-          }
-        })
-        .filter(Boolean)
-        .map(normalizeUrl)
-        .filter(Boolean)
-    )
-  );
-  return uniqueLinks;
-};
-
-async function scrapePage(browser, url, baseDir, visited, queue) {
-  const normalizedUrl = normalizeUrl(url);
-  if (!normalizedUrl || visited.has(normalizedUrl)) return;
-  visited.add(normalizedUrl);
-
-  const page = await browser.newPage();
+// Starts one background crawl job per device in options.device (a single one
+// by default), each into its own project, and returns the jobs right away.
+// This is the one way crawls start, for the scrape_website tool and the
+// /webScrape route alike. Throws, starting nothing, when the URL or options
+// are invalid or one of the projects is already being crawled.
+export const startScrapeJobs = async (url, options = {}, project = null) => {
+  let normalize;
   try {
-    await page.goto(normalizedUrl, {
-      waitUntil: "networkidle2",
-      timeout: 30000,
-    });
-    await autoScroll(page);
-
-    const assetDir = path.join(baseDir, "assets");
-    const jsDir = path.join(assetDir, "js");
-    await fs.mkdir(jsDir, { recursive: true });
-
-    // Handle images
-    const imageHandles = await page.$$eval("img", (imgs) => {
-      const base = location.origin;
-      function getBestSrc(srcset) {
-        if (!srcset) return null;
-        const candidates = srcset.split(",").map((s) => s.trim().split(" ")[0]);
-        return candidates[candidates.length - 1] || null;
-      }
-      return imgs
-        .map((img) => {
-          const srcset = img.getAttribute("srcset");
-          let src = getBestSrc(srcset);
-          if (!src) src = img.getAttribute("src") || "";
-          try {
-            return new URL(src, base).href;
-          } catch {
-            return null;
-          }
-        })
-        .filter(Boolean);
-    });
-
-    const localImagePaths = [];
-
-    for (let i = 0; i < imageHandles.length; i++) {
-      const imageUrl = imageHandles[i];
-      try {
-        const response = await fetch(imageUrl);
-        if (!response.ok) throw new Error(`Failed to fetch image: ${imageUrl}`);
-        const contentType = response.headers.get("content-type");
-        let extension = "jpg";
-        if (contentType?.includes("png")) extension = "png";
-        else if (contentType?.includes("jpeg") || contentType?.includes("jpg"))
-          extension = "jpg";
-        const imageName = `image_${Date.now()}_${i}.${extension}`;
-        const imagePath = path.join(assetDir, imageName);
-        const buffer = await response.buffer();
-        await fs.writeFile(imagePath, buffer);
-        const localPath = `/scraped_website/assets/${imageName}`;
-        localImagePaths.push(localPath);
-      } catch (err) {
-        console.warn(`Image download failed: ${imageUrl}, ${err.message}`);
-        localImagePaths.push(imageUrl); // fallback
-      }
-    }
-
-    await page.evaluate((newSources) => {
-      const imgs = Array.from(document.querySelectorAll("img"));
-      imgs.forEach((img, i) => {
-        if (newSources[i]) {
-          img.setAttribute("src", newSources[i]);
-        }
-        img.removeAttribute("srcset");
-      });
-    }, localImagePaths);
-
-    // Download and rewrite JS files
-    const scriptSrcs = await page.$$eval("script[src]", (scripts) =>
-      scripts.map((s) => s.src)
-    );
-
-    const localScriptPaths = [];
-
-    for (const srcUrl of scriptSrcs) {
-      try {
-        const urlObj = new URL(srcUrl, page.url());
-        const filename = path.basename(urlObj.pathname);
-        const jsPath = path.join(jsDir, filename);
-        const localUrl = `/scraped_website/assets/js/${filename}`;
-        const res = await fetch(urlObj.href);
-        if (!res.ok) throw new Error(`JS fetch failed: ${urlObj.href}`);
-        const buffer = await res.buffer();
-        await fs.writeFile(jsPath, buffer);
-        localScriptPaths.push({ original: srcUrl, local: localUrl });
-      } catch (err) {
-        console.warn(`JS download failed: ${srcUrl}, ${err.message}`);
-      }
-    }
-
-    await page.$$eval(
-      "script[src]",
-      (scripts, replacements) => {
-        scripts.forEach((s) => {
-          const found = replacements.find((r) => s.src.includes(r.original));
-          if (found) {
-            s.src = found.local;
-          }
-        });
-      },
-      localScriptPaths
-    );
-
-    // Extract and enqueue new internal links
-    const internalLinks = await extractInternalLinks(page, normalizedUrl);
-    for (const link of internalLinks) {
-      if (!visited.has(link) && !queue.includes(link)) {
-        queue.push(link);
-      }
-    }
-
-    // Rewrite anchor hrefs to local paths
-    await page.$$eval(
-      "a[href]",
-      (anchors, baseOrigin) => {
-        anchors.forEach((a) => {
-          try {
-            const url = new URL(a.href, baseOrigin);
-            if (url.origin === baseOrigin) {
-              let path = url.pathname.replace(/\/$/, "") || "/index";
-              const hash = url.hash || "";
-              a.setAttribute("href", `/scraped_website${path}.html${hash}`);
-            }
-          } catch {}
-        });
-      },
-      new URL(url).origin
-    );
-
-    // Comment out remaining script tags
-    await page.$$eval("script", (scripts) => {
-      scripts.forEach((script) => {
-        const content = script.outerHTML;
-        const comment = document.createComment(content);
-        script.replaceWith(comment);
-      });
-    });
-
-    // Inline styles
-    const stylesheets = await page.$$eval("link[rel='stylesheet']", (links) =>
-      links.map((link) => link.href)
-    );
-
-    let cssContent = "";
-    for (const href of stylesheets) {
-      try {
-        const css = await (await fetch(href)).text();
-        cssContent += `\n/* ${href} */\n${css}`;
-      } catch {}
-    }
-
-    let content = await page.content();
-
-    if (cssContent) {
-      content = content.replace(
-        "</head>",
-        `<style>${cssContent}</style></head>`
-      );
-    }
-
-    content = content.replace(
-      "</head>",
-      `<base href="/scraped_website/">\n</head>`
-    );
-
-    const filePath = urlToPath(baseDir, normalizedUrl);
-    await fs.mkdir(path.dirname(filePath), { recursive: true });
-    await fs.writeFile(filePath, content);
-    console.log(`✅ Saved: ${normalizedUrl} → ${filePath}`);
+    normalize = createUrlNormalizer(options || {});
   } catch (err) {
-    console.warn(`❌ Failed ${normalizedUrl}: ${err.message}`);
-  } finally {
-    await page.close();
+    throw new Error(`Invalid crawl options: ${err.message}`);
   }
-}
-
-export const webScraping = async (url) => {
-  if (!url || typeof url !== "string") {
-    return { message: "Invalid or missing URL." };
+  const startUrl = typeof url === "string" ? normalize(url) : null;
+  if (!startUrl) {
+    throw new Error("Invalid or missing URL.");
   }
 
-  // Close existing server if one is running
-  if (websiteServer) {
-    await new Promise(resolve => websiteServer.close(resolve));
-    websiteServer = null;
+  const plans = planDeviceCrawls(startUrl, project, options?.device);
+  const scrapes = [];
+  for (const { profile, project: projectId } of plans) {
+    const crawlOptions = { ...options, device: profile.spec };
+    try {
+      scrapes.push({ crawlOptions, setup: await prepareCrawl(startUrl, projectId, profile, crawlOptions) });
+    } catch (err) {
+      throw new Error(`Invalid crawl options: ${err.message}`);
+    }
   }
 
-  const baseDir = path.join(process.cwd(), "scraped_website");
-  await fs.mkdir(baseDir, { recursive: true });
-
-  const visited = new Set();
-  const queue = [normalizeUrl(url)];
-
-  let browser;
-  try {
-    browser = await puppeteer.launch({ headless: "new" });
-
-    while (queue.length > 0) {
-      const batch = queue.splice(0, CONCURRENCY_LIMIT);
-      await Promise.all(
-        batch.map((link) =>
-          limit(() => scrapePage(browser, link, baseDir, visited, queue))
-        )
-      );
-    }
-    
-    // Start an Express server to serve the scraped website
-    const app = express();
-    app.use('/scraped_website', express.static(baseDir));
-    
-    // Create an index route that redirects to the scraped website
-    app.get('/', (req, res) => {
-      res.redirect('/scraped_website/index.html');
-    });
-    
-    // Start the server on port 3030
-    const port = 3030;
-    websiteServer = app.listen(port, () => {
-      console.log(`Scraped website running at http://localhost:${port}/scraped_website/`);
-    });
-    
-    // Make the server close when the process exits
-    process.on('exit', () => {
-      if (websiteServer) {
-        websiteServer.close();
+  // Checked after the awaits above, so no other crawl can start in between
+  plans.forEach((plan) => assertProjectIdle(plan.project));
+  return scrapes.map(({ crawlOptions, setup }) =>
+    startJob(
+      "crawl",
+      { url, project: setup.projectId, device: setup.device.name, crawl: withoutAuth(crawlOptions) },
+      async (job) => {
+        const result = await scrape(setup, job);
+        if (result.error) throw new Error(result.message);
+        return result;
       }
-    });
-    
-    // Also handle SIGINT (Ctrl+C) and SIGTERM
-    process.on('SIGINT', () => {
-      if (websiteServer) {
-        websiteServer.close();
-      }
-      process.exit(0);
-    });
-    
-    process.on('SIGTERM', () => {
-      if (websiteServer) {
-        websiteServer.close();
-      }
-      process.exit(0);
-    });
-
-    const folderStructure = await getFolderStructure(baseDir);
-    return {
-      message: `Scraped ${visited.size} pages successfully. Website running at http://localhost:3030/scraped_website/`,
-      structure: folderStructure,
-      serverUrl: `http://localhost:3030/scraped_website/`
-    };
-  } catch (err) {
-    console.error("Scraping failed:", err);
-    return { message: "Scraping failed" };
-  } finally {
-    if (browser) await browser.close();
-  }
+    )
+  );
 };
 
-export const updateHtml = async (file, oldText, newText) => {
+export const updateHtml = async (file, oldText, newText, project) => {
   console.log(`🔄 HTML Update Tool - Updating ${file}: replacing "${oldText}" with "${newText}"`);
   
   if (!file || !oldText || !newText) {
@@ -375,8 +103,9 @@ export const updateHtml = async (file, oldText, newText) => {
   }
   
   try {
-    // Construct the file path within the scraped_website directory
-    const baseDir = path.join(process.cwd(), "scraped_website");
+    // Construct the file path within the project directory
+    const projectInfo = await resolveProject(project);
+    const baseDir = projectInfo.dir;
     const filePath = path.join(baseDir, file);
     
     console.log(`📂 Looking for file: ${filePath}`);
@@ -418,36 +147,16 @@ export const updateHtml = async (file, oldText, newText) => {
     // Replace the text
     const updatedContent = content.replace(new RegExp(oldText, 'g'), newText);
     
-    // Write the updated content back to the file
+    // Keep the previous version, then write the updated content back to the file
+    await recordEdit(baseDir, file, content, { type: "simple", oldText, newText });
     await fs.writeFile(filePath, updatedContent, 'utf-8');
     console.log(`✅ Successfully updated ${file}`);
-    
-    // Restart the server if it's running
-    if (websiteServer) {
-      console.log("🔄 Restarting scraped website server...");
-      await new Promise(resolve => websiteServer.close(resolve));
-      
-      // Start the server on port 3030
-      const app = express();
-      app.use('/scraped_website', express.static(baseDir));
-      
-      // Create an index route that redirects to the scraped website
-      app.get('/', (req, res) => {
-        res.redirect('/scraped_website/index.html');
-      });
-      
-      const port = 3030;
-      websiteServer = app.listen(port, () => {
-        console.log(`✅ Scraped website restarted at http://localhost:${port}/scraped_website/`);
-      });
-    } else {
-      console.log("⚠️ Website server not running, no restart needed");
-    }
+    await reindexPage(baseDir, file);
     
     return { 
       success: true, 
       message: `Successfully updated "${oldText}" to "${newText}" in ${file}`,
-      serverUrl: `http://localhost:3030/scraped_website/` 
+      serverUrl: projectInfo.previewUrl
     };
     
   } catch (error) {
@@ -633,7 +342,7 @@ Modified snippet:`;
 }
 
 // Modified intelligentHtmlUpdate function to use the snippet-based approach
-export const intelligentHtmlUpdate = async (file, instruction) => {
+export const intelligentHtmlUpdate = async (file, instruction, project) => {
   console.log(`🧠 Intelligent HTML Update - File: ${file}, Instruction: "${instruction}"`);
   
   if (!file || !instruction) {
@@ -644,8 +353,9 @@ export const intelligentHtmlUpdate = async (file, instruction) => {
   }
   
   try {
-    // Construct the file path within the scraped_website directory
-    const baseDir = path.join(process.cwd(), "scraped_website");
+    // Construct the file path within the project directory
+    const projectInfo = await resolveProject(project);
+    const baseDir = projectInfo.dir;
     const filePath = path.join(baseDir, file);
     
     console.log(`📂 Looking for file: ${filePath}`);
@@ -684,6 +394,9 @@ export const intelligentHtmlUpdate = async (file, instruction) => {
       // Replace the snippet in the original HTML
       const modifiedContent = content.replace(snippetRegex, updatedSnippet);
       
+      // Keep the previous version before either write below
+      await recordEdit(baseDir, file, content, { type: "intelligent", instruction });
+
       // Check if any change was made
       if (modifiedContent === content) {
         console.warn("⚠️ Regex replacement didn't work, falling back to approximate line replacement");
@@ -705,33 +418,14 @@ export const intelligentHtmlUpdate = async (file, instruction) => {
         // Write the modified content back to the file
         await fs.writeFile(filePath, modifiedContent, 'utf-8');
       }
+      await reindexPage(baseDir, file);
       
       console.log(`✅ Successfully updated ${file} with targeted change`);
       
-      // Restart the server if it's running
-      if (websiteServer) {
-        console.log("🔄 Restarting scraped website server...");
-        await new Promise(resolve => websiteServer.close(resolve));
-        
-        // Start the server on port 3030
-        const app = express();
-        app.use('/scraped_website', express.static(baseDir));
-        
-        // Create an index route that redirects to the scraped website
-        app.get('/', (req, res) => {
-          res.redirect('/scraped_website/index.html');
-        });
-        
-        const port = 3030;
-        websiteServer = app.listen(port, () => {
-          console.log(`✅ Scraped website restarted at http://localhost:${port}/scraped_website/`);
-        });
-      }
-      
       return { 
         success: true, 
         message: `Successfully updated ${file} based on instruction: "${instruction}"`,
-        serverUrl: `http://localhost:3030/scraped_website/`,
+        serverUrl: projectInfo.previewUrl,
         update: {
           elementType: snippetInfo.elementType,
           identifier: snippetInfo.elementIdentifier,
@@ -748,29 +442,14 @@ export const intelligentHtmlUpdate = async (file, instruction) => {
         const modifiedContent = simulateHtmlModification(content, instruction);
         
         // Write the updated content back to the file
+        await recordEdit(baseDir, file, content, { type: "simulated", instruction });
         await fs.writeFile(filePath, modifiedContent, 'utf-8');
-        
-        // Restart server if running
-        if (websiteServer) {
-          console.log("🔄 Restarting scraped website server...");
-          await new Promise(resolve => websiteServer.close(resolve));
-          
-          const app = express();
-          app.use('/scraped_website', express.static(baseDir));
-          app.get('/', (req, res) => {
-            res.redirect('/scraped_website/index.html');
-          });
-          
-          const port = 3030;
-          websiteServer = app.listen(port, () => {
-            console.log(`✅ Scraped website restarted at http://localhost:${port}/scraped_website/`);
-          });
-        }
+        await reindexPage(baseDir, file);
         
         return { 
           success: true, 
           message: `Applied simulated change to ${file} (fallback mode)`,
-          serverUrl: `http://localhost:3030/scraped_website/`
+          serverUrl: projectInfo.previewUrl
         };
       } catch (simError) {
         return {
@@ -0,0 +1,57 @@
+// Decides which URLs count as the same page. By default the query string and
+// fragment are dropped; a crawl can keep every query parameter or only an
+// allowlist, and treat hash routes (#/about, #!/about) as pages of their own.
+
+// Dropped even when every query parameter is kept
+const TRACKING_PARAMS = /^(utm_[a-z]+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga)$/i;
+const HASH_ROUTE = /^#!?\//;
+
+// "ignore" (default), "keep", or a list of parameter names to keep.
+export const resolveQueryOption = (value) => {
+  if (value === undefined || value === null || value === "ignore") {
+    return { mode: "ignore", params: null };
+  }
+  if (value === "keep") return { mode: "keep", params: null };
+  if (Array.isArray(value) && value.every((name) => typeof name === "string" && name)) {
+    return { mode: "allow", params: new Set(value) };
+  }
+  throw new Error('query must be "ignore", "keep" or a list of parameter names');
+};
+
+export const isHashRoute = (hash) => HASH_ROUTE.test(hash);
+
+// Returns normalize(rawUrl), which resolves to null for anything unparsable.
+// Kept parameters are sorted, so the same page always gets the same URL.
+export const createUrlNormalizer = (options = {}) => {
+  const query = resolveQueryOption(options.query);
+  const hashRoutes = Boolean(options.hashRoutes);
+
+  return (rawUrl) => {
+    try {
+      const url = new URL(rawUrl);
+      if (hashRoutes && isHashRoute(url.hash)) {
+        const route = url.hash.replace(/\/+$/, "");
+        url.hash = /^#!?$/.test(route) ? "" : route;
+      } else {
+        url.hash = "";
+      }
+
+      if (query.mode === "ignore") {
+        url.search = "";
+      } else {
+        for (const name of Array.from(new Set(url.searchParams.keys()))) {
+          const kept =
+            query.mode === "keep" ? !TRACKING_PARAMS.test(name) : query.params.has(name);
+          if (!kept) url.searchParams.delete(name);
+        }
+        url.searchParams.sort();
+        if (!url.searchParams.toString()) url.search = "";
+      }
+
+      url.pathname = url.pathname.replace(/\/+$/, "") || "/";
+      return url.toString().replace(/\/$/, "");
+    } catch {
+      return null;
+    }
+  };
+};
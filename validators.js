@@ -0,0 +1,164 @@
+import fs from "fs/promises";
+import path from "path";
+import { createHash } from "crypto";
+import { toProjectPath } from "./outputUrls.js";
+
+// HTTP validators (ETag, Last-Modified) and content hashes for every captured
+// page and asset, kept in validators.json so a later incremental crawl can send
+// conditional requests and only rewrite what changed.
+
+export const VALIDATORS_FILE = "validators.json";
+
+export const hashContent = (content) =>
+  createHash("sha256").update(content).digest("hex");
+
+const exists = (filePath) =>
+  fs.access(filePath).then(
+    () => true,
+    () => false
+  );
+
+const conditionalHeaders = (record) => {
+  const headers = {};
+  if (record?.etag) headers["If-None-Match"] = record.etag;
+  if (record?.lastModified) headers["If-Modified-Since"] = record.lastModified;
+  return headers;
+};
+
+const loadValidators = async (baseDir) => {
+  try {
+    const saved = JSON.parse(
+      await fs.readFile(path.join(baseDir, VALIDATORS_FILE), "utf-8")
+    );
+    return { pages: saved.pages || {}, assets: saved.assets || {} };
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.warn(`⚠️ Ignoring unreadable ${VALIDATORS_FILE}: ${err.message}`);
+    }
+    return { pages: {}, assets: {} };
+  }
+};
+
+// With incremental off, validators are still recorded for the next run but
+// never used to skip work.
+export const createValidatorStore = async (baseDir, incremental) => {
+  const previous = await loadValidators(baseDir);
+  const current = { pages: {}, assets: {} };
+  const changes = { added: [], changed: [], unchanged: [] };
+
+  const usable = async (record) =>
+    Boolean(incremental && record && (await exists(path.join(baseDir, record.file))));
+
+  // True when the server answers a conditional request for the page with 304.
+  // The caller then reuses the saved file and its recorded links.
+  const pageNotModified = async (politeness, url) => {
+    const record = previous.pages[url];
+    if (!(await usable(record)) || !(record.etag || record.lastModified)) {
+      return null;
+    }
+    const response = await politeness.fetch(url, { headers: conditionalHeaders(record) });
+    response.body?.resume();
+    if (response.status !== 304) return null;
+
+    current.pages[url] = record;
+    changes.unchanged.push(url);
+    return record;
+  };
+
+  // Records a freshly rendered page and says whether its file must be written.
+  const recordPage = async (url, { etag, lastModified, content, filePath, links }) => {
+    const record = {
+      etag: etag || null,
+      lastModified: lastModified || null,
+      hash: hashContent(content),
+      file: toProjectPath(baseDir, filePath),
+      links,
+    };
+    const before = previous.pages[url];
+    current.pages[url] = record;
+
+    let change = "added";
+    if (before) {
+      change = before.hash === record.hash && (await usable(before)) ? "unchanged" : "changed";
+    }
+    changes[change].push(url);
+    return change;
+  };
+
+  // Downloads an asset unless a conditional request or its content hash shows
+  // the saved copy is still current. place(response, buffer) returns the path a
+  // new download goes to; paths are content-addressed, so a file that already
+  // exists there is not written again. Resolves to the project-relative file.
+  const downloadAsset = async (politeness, url, place) => {
+    const before = previous.assets[url];
+    const reusable = await usable(before);
+    const response = await politeness.fetch(url, {
+      headers: reusable ? conditionalHeaders(before) : {},
+    });
+
+    if (reusable && response.status === 304) {
+      response.body?.resume();
+      current.assets[url] = before;
+      return { file: before.file, changed: false, record: before };
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const validators = {
+      etag: response.headers.get("etag"),
+      lastModified: response.headers.get("last-modified"),
+      contentType: response.headers.get("content-type"),
+      hash: hashContent(buffer),
+    };
+
+    if (reusable && before.hash === validators.hash) {
+      const record = { ...before, ...validators };
+      current.assets[url] = record;
+      return { file: before.file, changed: false, record };
+    }
+
+    const filePath = await place(response, buffer);
+    if (!(await exists(filePath))) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    }
+    const record = {
+      ...validators,
+      file: toProjectPath(baseDir, filePath),
+    };
+    current.assets[url] = record;
+    return { file: record.file, changed: true, record };
+  };
+
+  // Records from earlier runs are kept for pages this run did not reach.
+  const save = async () => {
+    const filePath = path.join(baseDir, VALIDATORS_FILE);
+    const tempPath = `${filePath}.tmp`;
+    const merged = {
+      pages: { ...previous.pages, ...current.pages },
+      assets: { ...previous.assets, ...current.assets },
+    };
+    await fs.writeFile(tempPath, JSON.stringify(merged, null, 2));
+    await fs.rename(tempPath, filePath);
+  };
+
+  // Pages are only reported as removed after a crawl that ran to the end.
+  const summarize = ({ complete, visited }) => {
+    if (!incremental) return undefined;
+    const removed = complete
+      ? Object.keys(previous.pages).filter(
+          (url) => !current.pages[url] && !visited.has(url)
+        )
+      : [];
+    return { ...changes, removed };
+  };
+
+  return {
+    incremental: Boolean(incremental),
+    pageNotModified,
+    recordPage,
+    downloadAsset,
+    save,
+    summarize,
+  };
+};
@@ -0,0 +1,304 @@
+import fs from "fs/promises";
+import path from "path";
+import { createHash, randomUUID } from "crypto";
+import { gzip } from "zlib";
+import { promisify } from "util";
+import { Response } from "node-fetch";
+
+// Optional WARC output: every HTTP exchange a crawl makes, from the browser and
+// from asset downloads, is written to warc/<crawl>.warc.gz as request and
+// response records, one gzip member each. warc/index.cdx lists the response
+// records of every crawl with their offsets, so single records can be looked up.
+// Request records leave out cookies and credentials: the archive is a project
+// file like any other and must not hand out the crawl's session.
+
+export const WARC_DIR = "warc";
+export const CDX_FILE = "index.cdx";
+const CDX_HEADER = " CDX N b a m s k r M S V g";
+// Long polls and streams never finish loading; their body is not waited for
+const BODY_TIMEOUT_MS = 10000;
+const SECRET_HEADERS = ["cookie", "authorization", "proxy-authorization"];
+
+const gzipAsync = promisify(gzip);
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32 = (buffer) => {
+  let output = "";
+  let bits = 0;
+  let value = 0;
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  return bits > 0 ? output + BASE32_ALPHABET[(value << (5 - bits)) & 31] : output;
+};
+
+// WARC and CDX digests are base32 SHA-1
+const sha1 = (content) => `sha1:${base32(createHash("sha1").update(content).digest())}`;
+
+// "2026-10-19T18:21:38Z" -> "20261019182138"
+const cdxTimestamp = (date) => date.replace(/\D/g, "").slice(0, 14);
+
+// Sort-friendly URL key, e.g. "https://www.example.com/a?b=1" -> "com,example)/a?b=1"
+export const surt = (url) => {
+  const { hostname, port, pathname, searchParams } = new URL(url);
+  const host = /^[\d.]+$|:/.test(hostname)
+    ? hostname
+    : hostname.replace(/^www\d*\./, "").split(".").reverse().join(",");
+  searchParams.sort();
+  const query = searchParams.toString();
+  return `${host}${port ? `:${port}` : ""})${pathname}${query ? `?${query}` : ""}`.toLowerCase();
+};
+
+// Puppeteer joins repeated headers with "\n"; node-fetch's raw() gives arrays.
+const headerLines = (headers = {}) =>
+  Object.entries(headers).flatMap(([name, value]) =>
+    (Array.isArray(value) ? value : String(value).split("\n")).map((item) => `${name}: ${item}`)
+  );
+
+const httpBlock = (head, body) =>
+  Buffer.concat([Buffer.from(`${head.join("\r\n")}\r\n\r\n`), body || Buffer.alloc(0)]);
+
+const requestBlock = ({ url, method, headers, body }) => {
+  const { host, pathname, search } = new URL(url);
+  const lines = headerLines(headers).filter((line) => !/^host:/i.test(line));
+  return httpBlock([`${method} ${pathname}${search} HTTP/1.1`, `Host: ${host}`, ...lines], body);
+};
+
+// Bodies arrive decoded, so the encoding headers are dropped and
+// Content-Length describes the stored payload.
+const DECODED_HEADERS = /^(content-encoding|transfer-encoding|content-length):/i;
+
+const responseBlock = ({ status, statusText, headers, body }) => {
+  const lines = headerLines(headers).filter((line) => !DECODED_HEADERS.test(line));
+  return httpBlock(
+    [`HTTP/1.1 ${status} ${statusText || ""}`.trim(), ...lines, `Content-Length: ${body.length}`],
+    body
+  );
+};
+
+const warcRecord = (fields, block) => {
+  const head = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([name, value]) => `${name}: ${value}`);
+  return Buffer.concat([
+    Buffer.from(["WARC/1.1", ...head, `Content-Length: ${block.length}`, "", ""].join("\r\n")),
+    block,
+    Buffer.from("\r\n\r\n"),
+  ]);
+};
+
+const recordId = () => `<urn:uuid:${randomUUID()}>`;
+
+const headerValue = (headers, name) => {
+  const value = headers?.[name] ?? headers?.[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value?.split("\n")[0];
+};
+
+const withTimeout = (promise, ms) =>
+  Promise.race([
+    promise,
+    new Promise((resolve, reject) => setTimeout(() => reject(new Error("body timed out")), ms).unref()),
+  ]);
+
+// secretHeaders names the crawl's own auth headers, left out like SECRET_HEADERS.
+export const createWarcWriter = (baseDir, enabled, secretHeaders = []) => {
+  const startedAt = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+  const fileName = `crawl-${cdxTimestamp(startedAt)}.warc.gz`;
+  const filePath = path.join(baseDir, WARC_DIR, fileName);
+  const warcinfoId = recordId();
+  const cdxLines = [];
+  // Same URL with the same bytes: the first record already covers it
+  const seen = new Set();
+  const pending = new Set();
+  let offset = 0;
+  let opened = false;
+  let queue = Promise.resolve();
+  const hidden = new Set([...SECRET_HEADERS, ...secretHeaders].map((name) => name.toLowerCase()));
+  const withoutSecrets = (headers = {}) =>
+    Object.fromEntries(Object.entries(headers).filter(([name]) => !hidden.has(name.toLowerCase())));
+
+  const writeMember = async (record) => {
+    const member = await gzipAsync(record);
+    await fs.appendFile(filePath, member);
+    const position = { length: member.length, offset };
+    offset += member.length;
+    return position;
+  };
+
+  const openFile = async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const info = Buffer.from(
+      ["software: domorph-agent", "format: WARC File Format 1.1", `isPartOf: ${path.basename(baseDir)}`, ""].join("\r\n")
+    );
+    await writeMember(
+      warcRecord(
+        {
+          "WARC-Type": "warcinfo",
+          "WARC-Record-ID": warcinfoId,
+          "WARC-Date": startedAt,
+          "WARC-Filename": fileName,
+          "Content-Type": "application/warc-fields",
+        },
+        info
+      )
+    );
+  };
+
+  // Records are appended one at a time so CDX offsets stay exact.
+  const append = (record, cdx) => {
+    queue = queue
+      .then(async () => {
+        if (!opened) {
+          opened = true;
+          await openFile();
+        }
+        const position = await writeMember(record);
+        if (cdx) {
+          cdxLines.push(
+            [cdx.key, cdx.timestamp, cdx.url, cdx.mime, cdx.status, cdx.digest, cdx.redirect, "-", position.length, position.offset, fileName].join(" ")
+          );
+        }
+      })
+      .catch((err) => console.warn(`⚠️ WARC write failed: ${err.message}`));
+    return queue;
+  };
+
+  // One exchange = a response record plus the request record that led to it.
+  const recordExchange = ({ url, method = "GET", requestHeaders, requestBody, status, statusText, responseHeaders, body, ip }) => {
+    if (!enabled || !/^https?:/i.test(url)) return;
+    const payload = body || Buffer.alloc(0);
+    const payloadDigest = sha1(payload);
+    if (seen.has(`${url} ${payloadDigest}`)) return;
+    seen.add(`${url} ${payloadDigest}`);
+
+    const date = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+    const responseId = recordId();
+    const response = responseBlock({ status, statusText, headers: responseHeaders, body: payload });
+    append(
+      warcRecord(
+        {
+          "WARC-Type": "response",
+          "WARC-Record-ID": responseId,
+          "WARC-Date": date,
+          "WARC-Target-URI": url,
+          "WARC-IP-Address": ip,
+          "WARC-Warcinfo-ID": warcinfoId,
+          "WARC-Payload-Digest": payloadDigest,
+          "WARC-Block-Digest": sha1(response),
+          "Content-Type": "application/http;msgtype=response",
+        },
+        response
+      ),
+      {
+        key: surt(url),
+        timestamp: cdxTimestamp(date),
+        url,
+        mime: headerValue(responseHeaders, "Content-Type")?.split(";")[0].trim() || "-",
+        status,
+        digest: payloadDigest.slice(5),
+        redirect: (status >= 300 && status < 400 && headerValue(responseHeaders, "Location")) || "-",
+      }
+    );
+
+    const request = requestBlock({ url, method, headers: withoutSecrets(requestHeaders), body: requestBody });
+    append(
+      warcRecord(
+        {
+          "WARC-Type": "request",
+          "WARC-Record-ID": recordId(),
+          "WARC-Date": date,
+          "WARC-Target-URI": url,
+          "WARC-Concurrent-To": responseId,
+          "WARC-Warcinfo-ID": warcinfoId,
+          "WARC-Block-Digest": sha1(request),
+          "Content-Type": "application/http;msgtype=request",
+        },
+        request
+      )
+    );
+  };
+
+  const track = (promise) => {
+    pending.add(promise);
+    promise.finally(() => pending.delete(promise));
+  };
+
+  // Records everything the page loads. Call flush() before closing the page,
+  // response bodies are gone afterwards.
+  const recordPage = (page) => {
+    if (!enabled) return { flush: async () => {} };
+    const pageRecordings = new Set();
+    page.on("response", (response) => {
+      const status = response.status();
+      const request = response.request();
+      const isRedirect = status >= 300 && status < 400;
+      const recording = (isRedirect ? Promise.resolve(null) : withTimeout(response.buffer(), BODY_TIMEOUT_MS))
+        .then((body) =>
+          recordExchange({
+            url: response.url(),
+            method: request.method(),
+            requestHeaders: request.headers(),
+            requestBody: request.postData(),
+            status,
+            statusText: response.statusText(),
+            responseHeaders: response.headers(),
+            body,
+            ip: response.remoteAddress()?.ip,
+          })
+        )
+        // Preflights, aborted requests and other bodiless responses
+        .catch(() => {});
+      pageRecordings.add(recording);
+      track(recording);
+    });
+    return { flush: () => Promise.all(pageRecordings) };
+  };
+
+  // Takes a node-fetch response and returns an equivalent one, since reading
+  // the body for the archive consumes it. Redirects node-fetch followed are
+  // recorded under the final URL.
+  const recordFetch = async (url, requestHeaders, response) => {
+    if (!enabled) return response;
+    const body = Buffer.from(await response.arrayBuffer());
+    recordExchange({
+      url: response.url || url,
+      requestHeaders,
+      status: response.status,
+      statusText: response.statusText,
+      responseHeaders: response.headers.raw(),
+      body,
+    });
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  };
+
+  // Merges this crawl's records into the CDX index, kept sorted for lookups.
+  const save = async () => {
+    if (!enabled) return;
+    await Promise.all(pending);
+    await queue;
+    if (!cdxLines.length) return;
+    const cdxPath = path.join(baseDir, WARC_DIR, CDX_FILE);
+    const existing = await fs
+      .readFile(cdxPath, "utf-8")
+      .then((text) => text.split("\n").filter((line) => line && line !== CDX_HEADER))
+      .catch(() => []);
+    const lines = [...new Set([...existing, ...cdxLines])].sort();
+    await fs.writeFile(`${cdxPath}.tmp`, `${CDX_HEADER}\n${lines.join("\n")}\n`);
+    await fs.rename(`${cdxPath}.tmp`, cdxPath);
+  };
+
+  const summarize = () =>
+    enabled && opened ? { file: `${WARC_DIR}/${fileName}`, cdx: `${WARC_DIR}/${CDX_FILE}` } : undefined;
+
+  return { enabled: Boolean(enabled), recordPage, recordFetch, save, summarize };
+};
@@ -1,325 +1,259 @@
-import fs from "fs/promises";
 import path from "path";
-import fetch from "node-fetch";
-import { fileURLToPath } from "url";
-import puppeteer from "puppeteer-extra";
-import StealthPlugin from "puppeteer-extra-plugin-stealth";
-import pLimit from "p-limit";
 
-puppeteer.use(StealthPlugin());
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const CONCURRENCY_LIMIT = 5;
-const limit = pLimit(CONCURRENCY_LIMIT);
-
-async function getFolderStructure(dir, base = "") {
-  const entries = await fs.readdir(dir, { withFileTypes: true });
-
-  const structure = [];
-
-  for (const entry of entries) {
-    if (entry.name === "assets") continue; // ⛔ Skip assets folder
-
-    const relativePath = path.join(base, entry.name);
-    const fullPath = path.join(dir, entry.name);
-
-    if (entry.isDirectory()) {
-      const children = await getFolderStructure(fullPath, relativePath);
-      structure.push({ type: "folder", name: entry.name, children });
-    } else {
-      structure.push({ type: "file", name: entry.name });
+import { startScrapeJobs } from "./tools.js";
+import { readPageIndex, findPages } from "./pageIndex.js";
+import { openSearchIndex } from "./searchIndex.js";
+import { readCrawlReport } from "./crawlReport.js";
+import { readSiteMap, SITE_MAP_HTML_FILE } from "./siteMap.js";
+import { createProjectZip, createSingleFilePage } from "./projectExport.js";
+import {
+  getJob,
+  listJobs,
+  cancelJob,
+  isFinished,
+  describeJob,
+  activeJobFor,
+} from "./jobs.js";
+import {
+  validateProjectId,
+  getProject,
+  listProjects,
+  deleteProject,
+  resolveProject,
+} from "./projects.js";
+
+// crawl.device may list several devices; each is crawled into its own project.
+export const webScraping = async (req, res) => {
+  const { url, project, crawl: options } = req.body || {};
+  let started;
+  try {
+    started = await startScrapeJobs(url, options || {}, project);
+  } catch (err) {
+    if (err.jobId) {
+      return res.status(409).json({ message: err.message, jobId: err.jobId });
     }
+    return res.status(400).json({ message: err.message });
   }
 
-  return structure;
-}
-
+  const jobs = started.map((job) => ({
+    project: job.input.project,
+    device: job.input.device,
+    jobId: job.id,
+    statusUrl: `/api/agent/jobs/${job.id}`,
+  }));
 
-const autoScroll = async (page) => {
-  await page.evaluate(async () => {
-    await new Promise((resolve) => {
-      let totalHeight = 0;
-      const distance = 100;
-      const timer = setInterval(() => {
-        const scrollHeight = document.body.scrollHeight;
-        window.scrollBy(0, distance);
-        totalHeight += distance;
-        if (totalHeight >= scrollHeight) {
-          clearInterval(timer);
-          resolve();
-        }
-      }, 100);
-    });
-  });
+  if (jobs.length === 1) {
+    return res.status(202).json({ message: "Crawl started.", ...jobs[0] });
+  }
+  res.status(202).json({ message: `${jobs.length} crawls started.`, jobs });
 };
 
-const normalizeUrl = (rawUrl) => {
-  try {
-    const url = new URL(rawUrl);
-    url.hash = "";
-    url.search = "";
-    return url.toString().replace(/\/$/, "");
-  } catch {
-    return null;
-  }
+export const listCrawlJobs = (req, res) => {
+  res.status(200).json({ jobs: listJobs().map(describeJob) });
 };
 
-const urlToPath = (baseDir, url) => {
-  const parsed = new URL(url);
-  let pathname = parsed.pathname.replace(/\/$/, "");
-  if (pathname === "") pathname = "/index";
-  return path.join(baseDir, `${pathname}.html`);
+export const getCrawlJob = (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ message: "Job not found." });
+  res.status(200).json(describeJob(job));
 };
 
-const extractInternalLinks = async (page, baseUrl) => {
-  const origin = new URL(baseUrl).origin;
-  const links = await page.$$eval("a[href]", (anchors) =>
-    anchors.map((a) => a.href)
-  );
-  const uniqueLinks = Array.from(
-    new Set(
-      links
-        .map((link) => {
-          try {
-            const u = new URL(link, origin);
-            return u.origin === origin ? u.href : null;
-          } catch {
-            return null;
-          }
-        })
-        .filter(Boolean)
-        .map(normalizeUrl)
-        .filter(Boolean)
-    )
-  );
-  return uniqueLinks;
+export const cancelCrawlJob = (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ message: "Job not found." });
+  if (isFinished(job)) {
+    return res
+      .status(409)
+      .json({ message: `Job already ${job.status}.`, ...describeJob(job) });
+  }
+  cancelJob(job.id);
+  res.status(202).json(describeJob(job));
 };
 
-async function scrapePage(browser, url, baseDir, visited, queue) {
-  const normalizedUrl = normalizeUrl(url);
-  if (!normalizedUrl || visited.has(normalizedUrl)) return;
-  visited.add(normalizedUrl);
+// Project directories are not exposed to clients
+const describeProject = ({ dir, ...project }) => project;
 
-  const page = await browser.newPage();
+export const listScrapeProjects = async (req, res) => {
   try {
-    await page.goto(normalizedUrl, {
-      waitUntil: "networkidle2",
-      timeout: 30020,
-    });
-    await autoScroll(page);
-
-    const assetDir = path.join(baseDir, "assets");
-    const jsDir = path.join(assetDir, "js");
-    await fs.mkdir(jsDir, { recursive: true });
-
-    // Handle images
-    const imageHandles = await page.$$eval("img", (imgs) => {
-      const base = location.origin;
-      function getBestSrc(srcset) {
-        if (!srcset) return null;
-        const candidates = srcset.split(",").map((s) => s.trim().split(" ")[0]);
-        return candidates[candidates.length - 1] || null;
-      }
-      return imgs
-        .map((img) => {
-          const srcset = img.getAttribute("srcset");
-          let src = getBestSrc(srcset);
-          if (!src) src = img.getAttribute("src") || "";
-          try {
-            return new URL(src, base).href;
-          } catch {
-            return null;
-          }
-        })
-        .filter(Boolean);
-    });
+    const projects = await listProjects();
+    res.status(200).json({ projects: projects.map(describeProject) });
+  } catch (err) {
+    res.status(500).json({ message: `Could not list projects: ${err.message}` });
+  }
+};
 
-    const localImagePaths = [];
+export const getScrapeProject = async (req, res) => {
+  try {
+    const project = await getProject(validateProjectId(req.params.id));
+    if (!project) return res.status(404).json({ message: "Project not found." });
+    res.status(200).json(describeProject(project));
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+};
 
-    for (let i = 0; i < imageHandles.length; i++) {
-      const imageUrl = imageHandles[i];
-      try {
-        const response = await fetch(imageUrl);
-        if (!response.ok) throw new Error(`Failed to fetch image: ${imageUrl}`);
-        const contentType = response.headers.get("content-type");
-        let extension = "jpg";
-        if (contentType?.includes("png")) extension = "png";
-        else if (contentType?.includes("jpeg") || contentType?.includes("jpg"))
-          extension = "jpg";
-        const imageName = `image_${Date.now()}_${i}.${extension}`;
-        const imagePath = path.join(assetDir, imageName);
-        const buffer = await response.buffer();
-        await fs.writeFile(imagePath, buffer);
-        const localPath = `http://localhost:3002/scraped_website/assets/${imageName}`;
-        localImagePaths.push(localPath);
-      } catch (err) {
-        console.warn(`Image download failed: ${imageUrl}, ${err.message}`);
-        localImagePaths.push(imageUrl); // fallback
-      }
+export const getProjectSiteMap = async (req, res) => {
+  try {
+    const project = await getProject(validateProjectId(req.params.id));
+    if (!project) return res.status(404).json({ message: "Project not found." });
+    const siteMap = await readSiteMap(project.dir);
+    if (!siteMap) {
+      return res
+        .status(404)
+        .json({ message: "No site map yet. Crawl the project with screenshots enabled." });
     }
+    res.status(200).json({
+      ...siteMap,
+      galleryUrl: `${project.previewUrl}${SITE_MAP_HTML_FILE}`,
+    });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+};
 
-    await page.evaluate((newSources) => {
-      const imgs = Array.from(document.querySelectorAll("img"));
-      imgs.forEach((img, i) => {
-        if (newSources[i]) {
-          img.setAttribute("src", newSources[i]);
-        }
-        img.removeAttribute("srcset");
-      });
-    }, localImagePaths);
-
-    // Download and rewrite JS files
-    const scriptSrcs = await page.$$eval("script[src]", (scripts) =>
-      scripts.map((s) => s.src)
-    );
-
-    const localScriptPaths = [];
-
-    for (const srcUrl of scriptSrcs) {
-      try {
-        const urlObj = new URL(srcUrl, page.url());
-        const filename = path.basename(urlObj.pathname);
-        const jsPath = path.join(jsDir, filename);
-        const localUrl = `http://localhost:3002/scraped_website/assets/js/${filename}`;
-        const res = await fetch(urlObj.href);
-        if (!res.ok) throw new Error(`JS fetch failed: ${urlObj.href}`);
-        const buffer = await res.buffer();
-        await fs.writeFile(jsPath, buffer);
-        localScriptPaths.push({ original: srcUrl, local: localUrl });
-      } catch (err) {
-        console.warn(`JS download failed: ${srcUrl}, ${err.message}`);
-      }
+// GET /projects/:id/pages?q=pricing lists matching pages; ?file= returns one
+// page's full metadata
+export const getPageIndex = async (req, res) => {
+  try {
+    const project = await getProject(validateProjectId(req.params.id));
+    if (!project) return res.status(404).json({ message: "Project not found." });
+    const index = await readPageIndex(project.dir);
+    if (!index) {
+      return res.status(404).json({ message: "No page index yet. Crawl the project first." });
     }
-
-    await page.$$eval(
-      "script[src]",
-      (scripts, replacements) => {
-        scripts.forEach((s) => {
-          const found = replacements.find((r) => s.src.includes(r.original));
-          if (found) {
-            s.src = found.local;
-          }
-        });
-      },
-      localScriptPaths
-    );
-
-    // Extract and enqueue new internal links
-    const internalLinks = await extractInternalLinks(page, normalizedUrl);
-    for (const link of internalLinks) {
-      if (!visited.has(link) && !queue.includes(link)) {
-        queue.push(link);
-      }
+    if (req.query.file) {
+      const page = index.pages.find((entry) => entry.file === req.query.file);
+      if (!page) return res.status(404).json({ message: `Page not found: ${req.query.file}` });
+      return res.status(200).json(page);
     }
+    const pages = findPages(index, req.query.q);
+    res.status(200).json({ updatedAt: index.updatedAt, total: index.pages.length, pages });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+};
 
-    // Rewrite anchor hrefs to local paths
-    await page.$$eval(
-      "a[href]",
-      (anchors, baseOrigin) => {
-        anchors.forEach((a) => {
-          try {
-            const url = new URL(a.href, baseOrigin);
-            if (url.origin === baseOrigin) {
-              let path = url.pathname.replace(/\/$/, "") || "/index";
-              const hash = url.hash || "";
-              a.setAttribute("href", `/scraped_website${path}.html${hash}`);
-            }
-          } catch {}
-        });
-      },
-      new URL(url).origin
-    );
+// GET /search?q=pricing+table&project=example-com&limit=10 searches the visible
+// text of a project's pages; project defaults to the most recently crawled one
+export const searchPages = async (req, res) => {
+  const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (!query) return res.status(400).json({ message: "Missing search query (q)." });
+  const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 10, 1), 50);
 
-    // Comment out remaining script tags
-    await page.$$eval("script", (scripts) => {
-      scripts.forEach((script) => {
-        const content = script.outerHTML;
-        const comment = document.createComment(content);
-        script.replaceWith(comment);
-      });
+  let project;
+  try {
+    project = await resolveProject(req.query.project);
+  } catch (err) {
+    return res.status(404).json({ message: err.message });
+  }
+  try {
+    const index = await openSearchIndex(project.dir);
+    const { total, results } = index.search(query, { limit });
+    res.status(200).json({
+      project: project.id,
+      query,
+      pages: index.size(),
+      total,
+      results: results.map((result) => ({
+        ...result,
+        previewUrl: `${project.previewUrl}${result.file}`,
+      })),
     });
+  } catch (err) {
+    res.status(500).json({ message: `Search failed: ${err.message}` });
+  }
+};
 
-    // Inline styles
-    const stylesheets = await page.$$eval("link[rel='stylesheet']", (links) =>
-      links.map((link) => link.href)
-    );
-
-    let cssContent = "";
-    for (const href of stylesheets) {
-      try {
-        const css = await (await fetch(href)).text();
-        cssContent += `\n/* ${href} */\n${css}`;
-      } catch {}
-    }
-
-    let content = await page.content();
-
-    if (cssContent) {
-      content = content.replace(
-        "</head>",
-        `<style>${cssContent}</style></head>`
-      );
+export const getCrawlReport = async (req, res) => {
+  try {
+    const project = await getProject(validateProjectId(req.params.id));
+    if (!project) return res.status(404).json({ message: "Project not found." });
+    const report = await readCrawlReport(project.dir);
+    if (!report) {
+      return res.status(404).json({ message: "No crawl report yet. Crawl the project first." });
     }
+    res.status(200).json(report);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+};
 
-    content = content.replace(
-      "</head>",
-      `<base href="/scraped_website/">\n</head>`
-    );
+const queryFlag = (value) => value === "true" || value === "1";
 
-    const filePath = urlToPath(baseDir, normalizedUrl);
-    await fs.mkdir(path.dirname(filePath), { recursive: true });
-    await fs.writeFile(filePath, content);
-    console.log(`✅ Saved: ${normalizedUrl} → ${filePath}`);
+// GET /projects/:id/export?pagesOnly=true&history=true streams <id>.zip
+export const exportScrapeProject = async (req, res) => {
+  let project;
+  try {
+    project = await getProject(validateProjectId(req.params.id));
   } catch (err) {
-    console.warn(`❌ Failed ${normalizedUrl}: ${err.message}`);
-  } finally {
-    await page.close();
+    return res.status(400).json({ message: err.message });
   }
-}
-
-export const webScraping = async (req, res) => {
-  const { url } = req.body || {};
-  if (!url || typeof url !== "string") {
-    return res.status(400).json({ message: "Invalid or missing URL." });
+  if (!project) return res.status(404).json({ message: "Project not found." });
+  const running = activeJobFor(project.id);
+  if (running) {
+    return res.status(409).json({
+      message: "Wait for the running crawl to finish before exporting the project.",
+      jobId: running.id,
+    });
   }
 
-  const baseDir = path.join(
-    __dirname,
-    "..",
-    "..",
-    "client",
-    "public",
-    "scraped_website"
-  );
-  await fs.mkdir(baseDir, { recursive: true });
-
-  const visited = new Set();
-  const queue = [normalizeUrl(url)];
-
-  let browser;
   try {
-    browser = await puppeteer.launch({ headless: false });
+    const archive = await createProjectZip(project, {
+      pagesOnly: queryFlag(req.query.pagesOnly),
+      includeHistory: queryFlag(req.query.history),
+      includeWarc: queryFlag(req.query.warc),
+    });
+    archive.on("error", (err) => {
+      console.error(`❌ Export of ${project.id} failed: ${err.message}`);
+      res.destroy(err);
+    });
+    res.attachment(`${project.id}.zip`);
+    archive.pipe(res);
+  } catch (err) {
+    res.status(500).json({ message: `Export failed: ${err.message}` });
+  }
+};
 
-    while (queue.length > 0) {
-      const batch = queue.splice(0, CONCURRENCY_LIMIT);
-      await Promise.all(
-        batch.map((link) =>
-          limit(() => scrapePage(browser, link, baseDir, visited, queue))
-        )
-      );
-    }
+// GET /projects/:id/single-file?file=docs/a.html downloads one page with its
+// assets inlined
+export const exportSingleFilePage = async (req, res) => {
+  let project;
+  try {
+    project = await getProject(validateProjectId(req.params.id));
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+  if (!project) return res.status(404).json({ message: "Project not found." });
 
-    const folderStructure = await getFolderStructure(baseDir);
-    res.status(200).json({
-      message: `Scraped ${visited.size} pages successfully.`,
-      structure: folderStructure,
+  let page;
+  try {
+    page = await createSingleFilePage(project, req.query.file || "index.html");
+  } catch (err) {
+    const status = err.code === "ENOENT" ? 404 : 400;
+    return res.status(status).json({
+      message: err.code === "ENOENT" ? `Page not found: ${req.query.file}` : err.message,
     });
+  }
+  res.attachment(`${project.id}-${path.posix.basename(page.file)}`);
+  res.type("html").send(page.html);
+};
+
+export const deleteScrapeProject = async (req, res) => {
+  let projectId;
+  try {
+    projectId = validateProjectId(req.params.id);
   } catch (err) {
-    console.error("Scraping failed:", err);
-    res.status(500).json({ message: "Scraping failed" });
-  } finally {
-    if (browser) await browser.close();
+    return res.status(400).json({ message: err.message });
+  }
+  const running = activeJobFor(projectId);
+  if (running) {
+    return res.status(409).json({
+      message: "Cancel the running crawl before deleting the project.",
+      jobId: running.id,
+    });
+  }
+  if (!(await deleteProject(projectId))) {
+    return res.status(404).json({ message: "Project not found." });
   }
+  res.status(200).json({ message: `Project ${projectId} deleted.` });
 };